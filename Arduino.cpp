@@ -1,13 +1,104 @@
 /*  Robust pH reader + pump control
     - Computes linear calibration from 3 calibration points (least squares)
-    - Moving-average filter for voltage
-    - JSON output: {"pH":x.xx,"voltage":y.yyy,"pump":"basic|acidic|none"}
+    - Selectable voltage filter (moving average, median, trimmed mean, EMA)
     - Hysteresis and pump burst dosing for safety
-    - Prints calibration slope/intercept at startup for verification
+    - Dosing controller: fixed bursts, or proportional/PI bursts scaled by the
+      distance from the range midpoint with a mixing delay learned from how fast
+      pH responds to each dose (reported as "mixing" messages)
+    - Each burst is reported as a pump start and stop message (source: auto =
+      control loop, manual = DOSE, prime = PRIME)
+    - Calibration, thresholds and pump timing persist in EEPROM (versioned + checksum)
+      and are reported as a "config" message on boot, with the computed
+      slope/intercept for verification
+    - Optional NTC thermistor: pH is temperature-compensated (Nernst slope) and
+      the reading gains a "temp" field
+    - Operating modes (persisted, reported as "mode" on readings/status/config):
+        auto        -> automatic dosing, manual DOSE/PRIME allowed
+        manual      -> no automatic dosing, DOSE/PRIME allowed
+        monitor     -> readings only, pumps disabled
+        maintenance -> probe out for cleaning: no dosing, no fault checks;
+                       only PRIME is allowed
+    - Safety interlocks: per-pump burst limits per hour/day, a lockout when pH
+      moves the wrong way after a dose, and a hardware watchdog that resets the
+      board (pumps off) if loop() stalls. A lockout stops automatic dosing and
+      DOSE, survives reboots and is reported on readings as "lockout":"<reason>"
+      and by "lockout" messages until RESET_LOCKOUT
+    - Probe fault detection (flatlined voltage, impossible jumps, pH pinned at
+      0/14, voltage outside the calibrated span): failing readings carry
+      "suspect":true, a latched fault adds "fault":"<name>" to readings and
+      suspends automatic dosing; changes are reported as "fault" messages
+    - Serial protocol, version PROTOCOL_VERSION (2): one JSON object per line,
+      each with a "type" and a "seq" number counting lines since boot (a gap
+      means lines were lost). The dashboard validates every line against the
+      same list (MESSAGE_SCHEMA in script.js) and compares protocol versions
+      through the hello handshake. Optional fields in [brackets]:
+        hello   {"type":"hello","seq":0,"protocol":2,"firmware":"ecosterile-ph"}
+                first line after boot and the reply to HELLO
+        reading {"type":"reading","seq":n,"pH":x.xx,"voltage":y.yyy,"rawPH":x.xx,
+                 "rawVoltage":y.yyy,"mode":"auto|manual|monitor|maintenance",
+                 ["temp":t.t,]["suspect":true,]["fault":"<fault>",]["lockout":"<reason>",]
+                 "pump":"basic|acidic|none","action":"on|off"}
+                every SAMPLE_INTERVAL_MS; pH/voltage are filtered, rawPH/rawVoltage not
+        pump    {"type":"pump","seq":n,"pump":"basic|acidic","event":"start|stop",
+                 "source":"auto|manual|prime"[,"durationMs":n]}  (durationMs on stop)
+        config  {"type":"config","seq":n,"version":6,"source":"eeprom|defaults",
+                 "cal":[[pH,V],...],"calTemp":t,"tempSensor":bool,"slope":s,
+                 "intercept":i,"min":x,"max":x,"burstMs":n,"gapMs":n,
+                 "filter":"ma|median|trimmed|ema","window":n,"alpha":a,"mode":"...",
+                 "control":"fixed|proportional","kp":k,"ki":k,"maxBurstMs":n,"mixMs":n,
+                 "limits":{"basic":[hour,day],"acidic":[hour,day]}}
+                on boot and for CONFIG
+        status  {"type":"status","seq":n,"min":x,"max":x,"lowOn":x,"lowOff":x,
+                 "highOn":x,"highOff":x,"burstMs":n,"gapMs":n,"fault":"<fault>|none",
+                 "mode":"...","mixMs":n,"lockout":"<reason>|none","lockoutPump":"...",
+                 "bursts":{"basic":[hour,day],"acidic":[hour,day]}}
+                for STATUS
+        ack     {"type":"ack","seq":n,"cmd":"..."}               command applied
+        error   {"type":"error","seq":n,"cmd":"...","msg":"..."} command rejected
+        fault   {"type":"fault","seq":n,"fault":"flatline|jump|pinned|span","active":bool}
+        mixing  {"type":"mixing","seq":n,"responseMs":n,"mixMs":n}
+        lockout {"type":"lockout","seq":n,"reason":"hourly_limit|daily_limit|wrong_direction|watchdog",
+                 "pump":"basic|acidic|none","active":bool}
+    - Line-based serial commands from the dashboard (see handleCommand()):
+        HELLO                  -> protocol handshake, answered with a hello message
+        SET_PH_RANGE:min,max   -> move hysteresis thresholds around the crop range
+        SET_BURST:ms           -> pump burst length
+        SET_GAP:ms             -> minimum gap between bursts
+        SET_CAL:pH1,V1,pH2,V2,pH3,V3 -> replace the calibration points
+        SET_FILTER:ma|median|trimmed[,window] or SET_FILTER:ema[,alpha]
+                               -> voltage filter
+        DOSE:basic|acidic,ms   -> run one pump now for ms
+        PRIME:basic|acidic[,ms] -> run one pump to fill/flush its tubing
+        STOP                   -> emergency stop: pumps off at once, cancels any run
+        SET_MODE:auto|manual|monitor|maintenance -> operating mode
+        SET_LIMITS:basicHour,basicDay,acidicHour,acidicDay -> automatic burst limits
+        RESET_LOCKOUT          -> clear a safety lockout (operator action)
+        SET_CONTROL:fixed or SET_CONTROL:proportional,kp,ki,maxMs
+                               -> dosing controller (kp: ms per pH from the
+                                  midpoint, ki: ms per pH*min of accumulated error)
+        STATUS                 -> report running settings
+        CONFIG                 -> report the persisted configuration
+        RESET_CONFIG           -> restore compile-time defaults
+      Every command is answered with an ack or error message (HELLO, STATUS and
+      CONFIG with their report instead).
 */
 
+#include <EEPROM.h>
+#include <avr/wdt.h>
+
 const int phPin = A0;
 
+// ---------- Optional temperature sensor ----------
+// Set to 1 when a 10k NTC thermistor is wired from tempPin to GND with a 10k
+// series resistor to 5V. Without it readings are reported uncompensated.
+#define HAS_TEMP_SENSOR 0
+const int tempPin = A1;
+const float NTC_NOMINAL_OHMS = 10000.0;  // resistance at NTC_NOMINAL_C
+const float NTC_NOMINAL_C = 25.0;
+const float NTC_BETA = 3950.0;
+const float NTC_SERIES_OHMS = 10000.0;
+const float DEFAULT_CAL_TEMP_C = 25.0;   // assumed buffer temperature without a sensor
+
 // motor pins
 const int basic_pump_in1 = 6;
 const int basic_pump_in2 = 7;
@@ -19,33 +110,256 @@ const int acidic_pump_in4 = 9;
 // pH 4  -> ~3.60 V   (you gave 3.5-3.7 -> average 3.6)
 // pH 7  -> ~ (2.957 + 3.055)/2 = 3.006 V
 // pH10  -> 1.466 V
-const float cal_pH1 = 4.0;
-const float cal_V1  = 3.60;
+// These are the defaults; the running values live in EEPROM (see loadSettings()).
+const int CAL_POINTS = 3;
+const float DEFAULT_CAL_PH[CAL_POINTS] = { 4.0, 7.0, 10.0 };
+const float DEFAULT_CAL_V[CAL_POINTS]  = { 3.60, (2.957 + 3.055f) / 2.0f, 1.466 }; // pH7 -> 3.006
 
-const float cal_pH2 = 7.0;
-const float cal_V2  = (2.957 + 3.055f) / 2.0f; // 3.006
-
-const float cal_pH3 = 10.0;
-const float cal_V3  = 1.466;
+float calPH[CAL_POINTS];
+float calV[CAL_POINTS];
+float calTempC = DEFAULT_CAL_TEMP_C;  // solution temperature when the points were taken
+float lastTempC = NAN;                // latest sensor reading (NAN without a sensor)
 
 // ---------- Filtering ----------
-const int MA_SIZE = 10;              // moving average sample count
-float maBuffer[MA_SIZE];
-int maIndex = 0;
-int maCount = 0;
+// All filters share one sample buffer (and the EMA runs continuously) so the
+// filter can be switched at runtime without a settling gap.
+//   ma      - mean of the last filterWindow samples
+//   median  - median of the last filterWindow samples; single spikes never pass
+//   trimmed - mean after dropping the lowest and highest quarter of the window
+//   ema     - exponential smoothing with emaAlpha (window unused)
+enum FilterType { FILTER_MA, FILTER_MEDIAN, FILTER_TRIMMED, FILTER_EMA };
+const int FILTER_MAX_SIZE = 15;
+const uint8_t DEFAULT_FILTER_TYPE = FILTER_MA;
+const uint8_t DEFAULT_FILTER_WINDOW = 10;
+const float DEFAULT_EMA_ALPHA = 0.2;
+uint8_t filterType = DEFAULT_FILTER_TYPE;
+uint8_t filterWindow = DEFAULT_FILTER_WINDOW;
+float emaAlpha = DEFAULT_EMA_ALPHA;
+float filterBuffer[FILTER_MAX_SIZE];
+int filterIndex = 0;
+int filterCount = 0;
+float emaValue = NAN;
+
+// ---------- Sensor fault detection ----------
+// A disconnected or dying probe still produces numbers; these checks keep it
+// from driving the pumps. A failing check marks the reading suspect and latches
+// a fault that suspends dosing until FAULT_CLEAR_SAMPLES clean readings in a row.
+const int FLATLINE_SAMPLES = 150;      // ~2 min of unchanged raw voltage
+const float FLATLINE_EPS_V = 0.001;    // below one ADC step (4.9 mV)
+const float MAX_PH_STEP = 1.0;         // largest believable change between samples
+const float SPAN_MARGIN_PH = 2.0;      // extrapolation allowed beyond the calibration points
+const int FAULT_CLEAR_SAMPLES = 5;
+
+enum SensorFault { FAULT_NONE, FAULT_FLATLINE, FAULT_JUMP, FAULT_PINNED, FAULT_SPAN };
+
+SensorFault sensorFault = FAULT_NONE;  // latched fault, FAULT_NONE when healthy
+int cleanSamples = 0;
+float flatRefV = NAN;
+int flatCount = 0;
+float lastRawPH = NAN;
 
 // ---------- Pump control & safety ----------
-const unsigned long pumpBurstMs = 1200UL;  // how long to run pump per correction (ms)
-const unsigned long minGapBetweenBursts = 10UL * 1000UL; // minimum gap between bursts (10s)
+const unsigned long DEFAULT_BURST_MS = 1200UL;        // how long to run pump per correction (ms)
+const unsigned long DEFAULT_GAP_MS = 10UL * 1000UL;   // minimum gap between bursts (10s)
+unsigned long pumpBurstMs = DEFAULT_BURST_MS;
+unsigned long minGapBetweenBursts = DEFAULT_GAP_MS;
 unsigned long lastPumpMillis = 0;
 bool pumpRunning = false;
 
-// Hysteresis thresholds (to avoid on/off oscillation)
-const float pH_low_threshold = 6.45;   // below this -> run base
-const float pH_low_exit      = 6.7;    // above this -> stop base
+// ---------- Operating mode ----------
+enum OperatingMode { MODE_AUTO, MODE_MANUAL, MODE_MONITOR, MODE_MAINTENANCE };
+const uint8_t DEFAULT_MODE = MODE_AUTO;
+uint8_t operatingMode = DEFAULT_MODE;
+
+// ---------- Manual control ----------
+// DOSE/PRIME are queued by handleCommand() and run from loop(); while any pump
+// runs, commands keep being read so STOP can cut the run short.
+const unsigned long MAX_DOSE_MS = 30UL * 1000UL;
+const unsigned long DEFAULT_PRIME_MS = 30UL * 1000UL;
+const unsigned long MAX_PRIME_MS = 2UL * 60UL * 1000UL;
+const unsigned long SAMPLE_INTERVAL_MS = 800UL;
+
+struct PumpRequest {
+  bool pending;
+  bool basic;
+  unsigned long ms;
+  const char* source;  // "manual" or "prime"
+};
+PumpRequest pumpRequest = { false, true, 0, "manual" };
+bool stopRequested = false;
+
+// ---------- Dosing controller ----------
+// fixed        - every correction is one pumpBurstMs burst, minGapBetweenBursts apart
+// proportional - burst = kp * |pH - mid| + ki * |accumulated error|, clamped to
+//                MIN_BURST_MS..maxBurstMs; bursts are mixGapMs apart, learned from
+//                the time pH takes to respond to a dose
+// The hysteresis thresholds decide when to dose in both modes.
+enum ControlMode { CONTROL_FIXED, CONTROL_PROPORTIONAL };
+const uint8_t DEFAULT_CONTROL = CONTROL_FIXED;
+const float DEFAULT_KP = 2000.0;                 // ms per pH unit from the midpoint
+const float DEFAULT_KI = 0.0;                    // ms per pH*min of accumulated error
+const unsigned long DEFAULT_MAX_BURST_MS = 5000UL;
+const float MAX_GAIN = 100000.0;
+const float INTEGRAL_LIMIT = 10.0;               // pH*min, anti-windup
+const float RESPONSE_MIN_DELTA = 0.05;           // pH change that counts as a response
+const float MIX_FACTOR = 2.0;                    // settle time ~ 2x the first response
+const float MIX_LEARN_RATE = 0.3;                // weight of each new observation
+uint8_t controlMode = DEFAULT_CONTROL;
+float kp = DEFAULT_KP;
+float ki = DEFAULT_KI;
+unsigned long maxBurstMs = DEFAULT_MAX_BURST_MS;
+// learned at runtime and not persisted (it would rewrite EEPROM after every
+// dose); starts from minGapBetweenBursts on boot
+unsigned long mixGapMs = DEFAULT_GAP_MS;
+float errorIntegral = 0.0;
+unsigned long lastControlMillis = 0;
+
+// the last automatic dose, watched until pH responds
+struct DoseResponse {
+  bool waiting;
+  bool basic;
+  unsigned long startedMs;
+  float startPH;
+};
+DoseResponse doseResponse = { false, true, 0, 0.0 };
+
+// ---------- Safety interlocks ----------
+// Counts cover automatic bursts in fixed windows (reset every hour / day of
+// uptime). They are saved when a window rolls over and when a lockout latches
+// (see BurstCounts), so a reboot resumes the windows instead of starting fresh
+// ones. Any lockout latches until RESET_LOCKOUT.
+enum LockoutReason {
+  LOCKOUT_NONE, LOCKOUT_HOURLY, LOCKOUT_DAILY, LOCKOUT_WRONG_WAY, LOCKOUT_WATCHDOG
+};
+const uint16_t DEFAULT_MAX_PER_HOUR = 20;
+const uint16_t DEFAULT_MAX_PER_DAY = 120;
+const uint16_t MAX_LIMIT = 1000;
+const float WRONG_WAY_DELTA = 0.3;      // pH moved this far against a dose -> lockout
+const unsigned long HOUR_MS = 60UL * 60UL * 1000UL;
+const unsigned long DAY_MS = 24UL * HOUR_MS;
+const int PUMP_BASIC = 0;
+const int PUMP_ACIDIC = 1;
+const int PUMP_NONE = 2;
+uint16_t maxBurstsPerHour[2] = { DEFAULT_MAX_PER_HOUR, DEFAULT_MAX_PER_HOUR };
+uint16_t maxBurstsPerDay[2] = { DEFAULT_MAX_PER_DAY, DEFAULT_MAX_PER_DAY };
+uint16_t burstsThisHour[2] = { 0, 0 };
+uint16_t burstsToday[2] = { 0, 0 };
+unsigned long hourWindowStart = 0;
+unsigned long dayWindowStart = 0;
+uint8_t lockoutReason = LOCKOUT_NONE;
+uint8_t lockoutPump = PUMP_NONE;
+
+// Limits accepted from SET_BURST / SET_GAP
+const unsigned long MIN_BURST_MS = 100UL;
+const unsigned long MAX_BURST_MS = 10UL * 1000UL;
+const unsigned long MIN_GAP_MS = 1000UL;
+const unsigned long MAX_GAP_MS = 10UL * 60UL * 1000UL;
+
+// Target pH range (crop range sent by the dashboard)
+const float DEFAULT_PH_MIN = 6.5;
+const float DEFAULT_PH_MAX = 7.5;
+float targetPHMin = DEFAULT_PH_MIN;
+float targetPHMax = DEFAULT_PH_MAX;
+
+// Hysteresis thresholds (to avoid on/off oscillation), derived from the target range
+const float THRESHOLD_MARGIN = 0.05;   // how far outside the range before dosing starts
+const float EXIT_MARGIN      = 0.2;    // how far inside the range before dosing stops
+
+float pH_low_threshold = 6.45;   // below this -> run base
+float pH_low_exit      = 6.7;    // above this -> stop base
 
-const float pH_high_threshold = 7.55;  // above this -> run acid
-const float pH_high_exit      = 7.3;   // below this -> stop acid
+float pH_high_threshold = 7.55;  // above this -> run acid
+float pH_high_exit      = 7.3;   // below this -> stop acid
+
+// ---------- Persistent settings (EEPROM) ----------
+// The layout is append-only: add new fields at the end and bump SETTINGS_VERSION.
+// A block written by older firmware is shorter, so fields past its stored size
+// keep their defaults. Version 1 blocks had no size byte and are migrated (see
+// SettingsV1). A bad magic, version or checksum falls back to the defaults.
+const uint16_t SETTINGS_MAGIC = 0xEC05;
+const uint8_t SETTINGS_VERSION = 6;
+const int SETTINGS_ADDR = 0;
+
+struct Settings {
+  uint16_t magic;
+  uint8_t version;
+  uint8_t size;      // sizeof(Settings) of the firmware that wrote the block
+  uint8_t checksum;  // covers the bytes after the header, up to size
+  // v1
+  float calPH[CAL_POINTS];
+  float calV[CAL_POINTS];
+  float targetPHMin;
+  float targetPHMax;
+  unsigned long pumpBurstMs;
+  unsigned long minGapBetweenBursts;
+  // v2
+  float calTempC;
+  // v3
+  uint8_t filterType;
+  uint8_t filterWindow;
+  float emaAlpha;
+  // v4
+  uint8_t operatingMode;
+  // v5
+  uint8_t controlMode;
+  float kp;
+  float ki;
+  unsigned long maxBurstMs;
+  // v6
+  uint16_t maxBurstsPerHour[2];
+  uint16_t maxBurstsPerDay[2];
+  uint8_t lockoutReason;
+  uint8_t lockoutPump;
+};
+
+const size_t SETTINGS_HEADER_SIZE = offsetof(Settings, calPH);
+
+// Layout written by version 1 firmware: no size byte, checksum last
+struct SettingsV1 {
+  uint16_t magic;
+  uint8_t version;
+  float calPH[CAL_POINTS];
+  float calV[CAL_POINTS];
+  float targetPHMin;
+  float targetPHMax;
+  unsigned long pumpBurstMs;
+  unsigned long minGapBetweenBursts;
+  uint8_t checksum;  // covers every byte before it
+};
+
+bool settingsFromEEPROM = false;  // false -> running on compile-time defaults
+
+// Burst counters, kept apart from Settings. They are written only when a
+// window rolls over and when a lockout latches or is reset (about 25 writes a
+// day), not per burst: the elapsed times change on every write, and per-burst
+// saves would wear those cells out within about a year. A reset therefore
+// loses the bursts counted since the last save. There is no clock: time spent
+// powered off counts as zero, so the windows resume where they were saved.
+const uint16_t BURST_COUNTS_MAGIC = 0xB0C5;
+const int BURST_COUNTS_ADDR = 128;  // after Settings, with room to grow
+
+struct BurstCounts {
+  uint16_t magic;
+  uint16_t thisHour[2];
+  uint16_t today[2];
+  unsigned long hourElapsedMs;  // into the hour window when saved
+  unsigned long dayElapsedMs;   // into the day window when saved
+  uint8_t checksum;             // covers every byte before it
+};
+
+static_assert(SETTINGS_ADDR + sizeof(Settings) <= BURST_COUNTS_ADDR,
+              "Settings grew into the burst counters");
+
+// ---------- Serial commands ----------
+// Bump PROTOCOL_VERSION whenever a message or command changes incompatibly;
+// the dashboard compares it with its own during the HELLO handshake.
+const uint8_t PROTOCOL_VERSION = 2;
+#define FIRMWARE_NAME "ecosterile-ph"
+unsigned long txSeq = 0;  // sequence number of the next line sent, from 0 at boot
+const int CMD_BUFFER_SIZE = 64;
+char cmdBuffer[CMD_BUFFER_SIZE];
+int cmdLength = 0;
+bool cmdOverflow = false;
 
 // Calibration result (computed on startup)
 float slope = 0.0;
@@ -58,23 +372,305 @@ float readVoltage() {
   return v;
 }
 
-// moving average
-float applyMA(float v) {
-  maBuffer[maIndex] = v;
-  maIndex = (maIndex + 1) % MA_SIZE;
-  if (maCount < MA_SIZE) maCount++;
+// read the thermistor in degrees C; NAN when no sensor is fitted or it is open/shorted
+float readTemperatureC() {
+#if HAS_TEMP_SENSOR
+  int raw = analogRead(tempPin);
+  if (raw <= 0 || raw >= 1023) return NAN;
+  float ohms = NTC_SERIES_OHMS * raw / (1023.0f - raw);
+  // Beta equation: 1/T = 1/T0 + ln(R/R0)/B
+  float invT = 1.0f / (NTC_NOMINAL_C + 273.15f) + log(ohms / NTC_NOMINAL_OHMS) / NTC_BETA;
+  return 1.0f / invT - 273.15f;
+#else
+  return NAN;
+#endif
+}
+
+// Nernst slope is proportional to absolute temperature: rescale the deviation
+// from the isopotential point (pH 7) from calibration temperature to solution temperature
+float compensatePH(float pH, float tempC) {
+  if (isnan(tempC)) return pH;
+  return 7.0f + (pH - 7.0f) * (calTempC + 273.15f) / (tempC + 273.15f);
+}
+
+const char* filterName(uint8_t type) {
+  switch (type) {
+    case FILTER_MEDIAN:  return "median";
+    case FILTER_TRIMMED: return "trimmed";
+    case FILTER_EMA:     return "ema";
+    default:             return "ma";
+  }
+}
 
+// filter name -> type; returns false for an unknown name
+bool parseFilterName(const char* name, uint8_t &type) {
+  for (uint8_t t = FILTER_MA; t <= FILTER_EMA; ++t) {
+    if (strcmp(name, filterName(t)) == 0) {
+      type = t;
+      return true;
+    }
+  }
+  return false;
+}
+
+const char* modeName(uint8_t mode) {
+  switch (mode) {
+    case MODE_MANUAL:      return "manual";
+    case MODE_MONITOR:     return "monitor";
+    case MODE_MAINTENANCE: return "maintenance";
+    default:               return "auto";
+  }
+}
+
+bool parseModeName(const char* name, uint8_t &mode) {
+  for (uint8_t m = MODE_AUTO; m <= MODE_MAINTENANCE; ++m) {
+    if (strcmp(name, modeName(m)) == 0) {
+      mode = m;
+      return true;
+    }
+  }
+  return false;
+}
+
+// feed one sample and return the value of the selected filter
+float applyFilter(float v) {
+  filterBuffer[filterIndex] = v;
+  filterIndex = (filterIndex + 1) % FILTER_MAX_SIZE;
+  if (filterCount < FILTER_MAX_SIZE) filterCount++;
+  emaValue = isnan(emaValue) ? v : emaValue + emaAlpha * (v - emaValue);
+
+  if (filterType == FILTER_EMA) return emaValue;
+
+  // newest samples first
+  int n = min(filterCount, (int)filterWindow);
+  float window[FILTER_MAX_SIZE];
+  for (int i = 0; i < n; ++i) {
+    window[i] = filterBuffer[(filterIndex - 1 - i + FILTER_MAX_SIZE) % FILTER_MAX_SIZE];
+  }
+
+  if (filterType == FILTER_MA) {
+    float sum = 0.0f;
+    for (int i = 0; i < n; ++i) sum += window[i];
+    return sum / n;
+  }
+
+  // insertion sort; the window is at most FILTER_MAX_SIZE samples
+  for (int i = 1; i < n; ++i) {
+    float x = window[i];
+    int j = i - 1;
+    while (j >= 0 && window[j] > x) {
+      window[j + 1] = window[j];
+      --j;
+    }
+    window[j + 1] = x;
+  }
+
+  if (filterType == FILTER_MEDIAN) {
+    return (n % 2) ? window[n / 2] : (window[n / 2 - 1] + window[n / 2]) / 2.0f;
+  }
+
+  // trimmed mean
+  int trim = n / 4;
   float sum = 0.0f;
-  for (int i = 0; i < maCount; ++i) sum += maBuffer[i];
-  return sum / maCount;
+  for (int i = trim; i < n - trim; ++i) sum += window[i];
+  return sum / (n - 2 * trim);
+}
+
+const char* faultName(SensorFault fault) {
+  switch (fault) {
+    case FAULT_FLATLINE: return "flatline";
+    case FAULT_JUMP:     return "jump";
+    case FAULT_PINNED:   return "pinned";
+    case FAULT_SPAN:     return "span";
+    default:             return "none";
+  }
+}
+
+// classify one unfiltered sample; rawPH is the pH before clamping
+SensorFault checkSensor(float rawV, float rawPH) {
+  SensorFault result = FAULT_NONE;
+
+  // calibrated voltage span, widened by SPAN_MARGIN_PH worth of volts
+  float vMin = calV[0], vMax = calV[0];
+  for (int i = 1; i < CAL_POINTS; ++i) {
+    if (calV[i] < vMin) vMin = calV[i];
+    if (calV[i] > vMax) vMax = calV[i];
+  }
+  float marginV = slope != 0.0f ? SPAN_MARGIN_PH / fabs(slope) : 0.0f;
+
+  if (rawPH <= 0.0f || rawPH >= 14.0f) result = FAULT_PINNED;
+  else if (rawV < vMin - marginV || rawV > vMax + marginV) result = FAULT_SPAN;
+  else if (!isnan(lastRawPH) && fabs(rawPH - lastRawPH) > MAX_PH_STEP) result = FAULT_JUMP;
+  lastRawPH = rawPH;
+
+  // a live probe always jitters by an ADC step or more
+  if (!isnan(flatRefV) && fabs(rawV - flatRefV) < FLATLINE_EPS_V) {
+    if (flatCount < FLATLINE_SAMPLES) flatCount++;
+  } else {
+    flatRefV = rawV;
+    flatCount = 0;
+  }
+  if (result == FAULT_NONE && flatCount >= FLATLINE_SAMPLES) result = FAULT_FLATLINE;
+
+  return result;
+}
+
+void sendFault(SensorFault fault, bool active) {
+  beginMessage(F("fault"));
+  Serial.print(F(",\"fault\":\""));
+  Serial.print(faultName(fault));
+  Serial.print(F("\",\"active\":"));
+  Serial.print(active ? F("true") : F("false"));
+  Serial.println('}');
+}
+
+// latch a new fault at once; clear it only after a run of clean samples
+void updateSensorFault(SensorFault sample) {
+  if (sample != FAULT_NONE) {
+    cleanSamples = 0;
+    if (sample != sensorFault) {
+      if (sensorFault != FAULT_NONE) sendFault(sensorFault, false);
+      sensorFault = sample;
+      stopPumps();
+      sendFault(sensorFault, true);
+    }
+  } else if (sensorFault != FAULT_NONE && ++cleanSamples >= FAULT_CLEAR_SAMPLES) {
+    sendFault(sensorFault, false);
+    sensorFault = FAULT_NONE;
+  }
+}
+
+// ---------- Safety interlocks ----------
+const char* lockoutName(uint8_t reason) {
+  switch (reason) {
+    case LOCKOUT_HOURLY:    return "hourly_limit";
+    case LOCKOUT_DAILY:     return "daily_limit";
+    case LOCKOUT_WRONG_WAY: return "wrong_direction";
+    case LOCKOUT_WATCHDOG:  return "watchdog";
+    default:                return "none";
+  }
+}
+
+const char* pumpName(uint8_t pump) {
+  if (pump == PUMP_BASIC) return "basic";
+  if (pump == PUMP_ACIDIC) return "acidic";
+  return "none";
+}
+
+void sendLockout(bool active) {
+  beginMessage(F("lockout"));
+  Serial.print(F(",\"reason\":\""));
+  Serial.print(lockoutName(lockoutReason));
+  Serial.print(F("\",\"pump\":\""));
+  Serial.print(pumpName(lockoutPump));
+  Serial.print(F("\",\"active\":"));
+  Serial.print(active ? F("true") : F("false"));
+  Serial.println('}');
+}
+
+// latch a lockout (the first reason wins) and persist it so a reboot can't clear it
+void setLockout(uint8_t reason, uint8_t pump) {
+  stopPumps();
+  if (lockoutReason != LOCKOUT_NONE) return;
+  lockoutReason = reason;
+  lockoutPump = pump;
+  saveSettings();
+  saveBurstCounts(millis());
+  sendLockout(true);
+}
+
+// roll the hour/day windows and check the limits for one pump;
+// latches a lockout and returns false when the pump has used up its bursts
+bool withinBurstLimits(int pump, unsigned long now) {
+  bool rolled = false;
+  if (now - hourWindowStart >= HOUR_MS) {
+    hourWindowStart = now;
+    burstsThisHour[PUMP_BASIC] = burstsThisHour[PUMP_ACIDIC] = 0;
+    rolled = true;
+  }
+  if (now - dayWindowStart >= DAY_MS) {
+    dayWindowStart = now;
+    burstsToday[PUMP_BASIC] = burstsToday[PUMP_ACIDIC] = 0;
+    rolled = true;
+  }
+  if (rolled) saveBurstCounts(now);
+  if (burstsThisHour[pump] >= maxBurstsPerHour[pump]) {
+    setLockout(LOCKOUT_HOURLY, pump);
+    return false;
+  }
+  if (burstsToday[pump] >= maxBurstsPerDay[pump]) {
+    setLockout(LOCKOUT_DAILY, pump);
+    return false;
+  }
+  return true;
+}
+
+// ---------- Dosing controller ----------
+unsigned long dosingGapMs() {
+  return controlMode == CONTROL_PROPORTIONAL ? mixGapMs : minGapBetweenBursts;
+}
+
+// accumulate the error while pH is outside the exit band; reset inside it
+// or when the error changes sign
+void updateIntegral(float pH, unsigned long now) {
+  float dtMin = lastControlMillis ? (now - lastControlMillis) / 60000.0f : 0.0f;
+  lastControlMillis = now;
+  float error = pH - (targetPHMin + targetPHMax) / 2.0f;
+  if ((pH >= pH_low_exit && pH <= pH_high_exit) || error * errorIntegral < 0.0f) {
+    errorIntegral = 0.0f;
+    return;
+  }
+  errorIntegral = constrain(errorIntegral + error * dtMin, -INTEGRAL_LIMIT, INTEGRAL_LIMIT);
+}
+
+unsigned long burstLengthMs(float pH) {
+  if (controlMode == CONTROL_FIXED) return pumpBurstMs;
+  float error = fabs(pH - (targetPHMin + targetPHMax) / 2.0f);
+  float ms = kp * error + ki * fabs(errorIntegral);
+  return (unsigned long)constrain(ms, (float)MIN_BURST_MS, (float)maxBurstMs);
+}
+
+void sendMixing(unsigned long responseMs) {
+  beginMessage(F("mixing"));
+  Serial.print(F(",\"responseMs\":"));
+  Serial.print(responseMs);
+  Serial.print(F(",\"mixMs\":"));
+  Serial.print(mixGapMs);
+  Serial.println('}');
+}
+
+// learn the mixing delay from how long pH takes to move after a dose
+void trackDoseResponse(float pH, unsigned long now) {
+  if (!doseResponse.waiting) return;
+  unsigned long elapsed = now - doseResponse.startedMs;
+  float moved = doseResponse.basic ? pH - doseResponse.startPH : doseResponse.startPH - pH;
+  if (moved <= -WRONG_WAY_DELTA) {
+    // a dose that pushes pH the other way: wrong chemical, swapped tubing or a bad probe
+    doseResponse.waiting = false;
+    setLockout(LOCKOUT_WRONG_WAY, doseResponse.basic ? PUMP_BASIC : PUMP_ACIDIC);
+  } else if (moved >= RESPONSE_MIN_DELTA) {
+    float target = constrain(MIX_FACTOR * elapsed, (float)MIN_GAP_MS, (float)MAX_GAP_MS);
+    mixGapMs = (unsigned long)(mixGapMs + MIX_LEARN_RATE * (target - (float)mixGapMs));
+    doseResponse.waiting = false;
+    sendMixing(elapsed);
+  } else if (elapsed > MAX_GAP_MS) {
+    doseResponse.waiting = false;  // no usable response; keep the current estimate
+  }
+}
+
+void startDoseResponse(bool basic, float pH) {
+  doseResponse.waiting = true;
+  doseResponse.basic = basic;
+  doseResponse.startedMs = millis();
+  doseResponse.startPH = pH;
 }
 
 // compute linear least-squares fit for (V->pH) using three points
 void computeCalibration() {
   // x = voltage, y = pH
-  float x[3] = { cal_V1, cal_V2, cal_V3 };
-  float y[3] = { cal_pH1, cal_pH2, cal_pH3 };
-  const int N = 3;
+  const float* x = calV;
+  const float* y = calPH;
+  const int N = CAL_POINTS;
 
   float sumx = 0.0f, sumy = 0.0f, sumxy = 0.0f, sumx2 = 0.0f;
   for (int i = 0; i < N; ++i) {
@@ -95,7 +691,697 @@ void computeCalibration() {
   }
 }
 
+// move the hysteresis thresholds around a new target range
+void applyPHRange(float minPH, float maxPH) {
+  targetPHMin = minPH;
+  targetPHMax = maxPH;
+
+  float mid = (minPH + maxPH) / 2.0f;
+  pH_low_threshold = minPH - THRESHOLD_MARGIN;
+  pH_high_threshold = maxPH + THRESHOLD_MARGIN;
+  // exits never cross the midpoint, so narrow ranges still have a dead band
+  pH_low_exit = min(minPH + EXIT_MARGIN, mid);
+  pH_high_exit = max(maxPH - EXIT_MARGIN, mid);
+}
+
+// ---------- Persistent settings ----------
+uint8_t settingsChecksum(const Settings &st, size_t size) {
+  const uint8_t* bytes = (const uint8_t*)&st;
+  uint8_t sum = 0;
+  for (size_t i = SETTINGS_HEADER_SIZE; i < size; ++i) {
+    sum = (uint8_t)((sum << 1) | (sum >> 7)) ^ bytes[i];  // rotate-xor
+  }
+  return sum;
+}
+
+uint8_t settingsV1Checksum(const SettingsV1 &st) {
+  const uint8_t* bytes = (const uint8_t*)&st;
+  uint8_t sum = 0;
+  for (size_t i = 0; i < offsetof(SettingsV1, checksum); ++i) {
+    sum = (uint8_t)((sum << 1) | (sum >> 7)) ^ bytes[i];
+  }
+  return sum;
+}
+
+// Read a version 1 block into st (which holds defaults for the newer fields);
+// false when its checksum does not match
+bool readSettingsV1(Settings &st) {
+  SettingsV1 old;
+  EEPROM.get(SETTINGS_ADDR, old);
+  if (old.checksum != settingsV1Checksum(old)) return false;
+  for (int i = 0; i < CAL_POINTS; ++i) {
+    st.calPH[i] = old.calPH[i];
+    st.calV[i] = old.calV[i];
+  }
+  st.targetPHMin = old.targetPHMin;
+  st.targetPHMax = old.targetPHMax;
+  st.pumpBurstMs = old.pumpBurstMs;
+  st.minGapBetweenBursts = old.minGapBetweenBursts;
+  return true;
+}
+
+void applyDefaultSettings() {
+  for (int i = 0; i < CAL_POINTS; ++i) {
+    calPH[i] = DEFAULT_CAL_PH[i];
+    calV[i] = DEFAULT_CAL_V[i];
+  }
+  targetPHMin = DEFAULT_PH_MIN;
+  targetPHMax = DEFAULT_PH_MAX;
+  pumpBurstMs = DEFAULT_BURST_MS;
+  minGapBetweenBursts = DEFAULT_GAP_MS;
+  calTempC = DEFAULT_CAL_TEMP_C;
+  filterType = DEFAULT_FILTER_TYPE;
+  filterWindow = DEFAULT_FILTER_WINDOW;
+  emaAlpha = DEFAULT_EMA_ALPHA;
+  operatingMode = DEFAULT_MODE;
+  controlMode = DEFAULT_CONTROL;
+  kp = DEFAULT_KP;
+  ki = DEFAULT_KI;
+  maxBurstMs = DEFAULT_MAX_BURST_MS;
+  for (int i = 0; i < 2; ++i) {
+    maxBurstsPerHour[i] = DEFAULT_MAX_PER_HOUR;
+    maxBurstsPerDay[i] = DEFAULT_MAX_PER_DAY;
+  }
+  lockoutReason = LOCKOUT_NONE;
+  lockoutPump = PUMP_NONE;
+}
+
+// running settings -> Settings block
+void collectSettings(Settings &st) {
+  for (int i = 0; i < CAL_POINTS; ++i) {
+    st.calPH[i] = calPH[i];
+    st.calV[i] = calV[i];
+  }
+  st.targetPHMin = targetPHMin;
+  st.targetPHMax = targetPHMax;
+  st.pumpBurstMs = pumpBurstMs;
+  st.minGapBetweenBursts = minGapBetweenBursts;
+  st.calTempC = calTempC;
+  st.filterType = filterType;
+  st.filterWindow = filterWindow;
+  st.emaAlpha = emaAlpha;
+  st.operatingMode = operatingMode;
+  st.controlMode = controlMode;
+  st.kp = kp;
+  st.ki = ki;
+  st.maxBurstMs = maxBurstMs;
+  for (int i = 0; i < 2; ++i) {
+    st.maxBurstsPerHour[i] = maxBurstsPerHour[i];
+    st.maxBurstsPerDay[i] = maxBurstsPerDay[i];
+  }
+  st.lockoutReason = lockoutReason;
+  st.lockoutPump = lockoutPump;
+}
+
+// Settings block -> running settings
+void applySettings(const Settings &st) {
+  for (int i = 0; i < CAL_POINTS; ++i) {
+    calPH[i] = st.calPH[i];
+    calV[i] = st.calV[i];
+  }
+  targetPHMin = st.targetPHMin;
+  targetPHMax = st.targetPHMax;
+  pumpBurstMs = st.pumpBurstMs;
+  minGapBetweenBursts = st.minGapBetweenBursts;
+  calTempC = st.calTempC;
+  filterType = st.filterType;
+  filterWindow = st.filterWindow;
+  emaAlpha = st.emaAlpha;
+  operatingMode = st.operatingMode <= MODE_MAINTENANCE ? st.operatingMode : DEFAULT_MODE;
+  controlMode = st.controlMode <= CONTROL_PROPORTIONAL ? st.controlMode : DEFAULT_CONTROL;
+  kp = st.kp;
+  ki = st.ki;
+  maxBurstMs = st.maxBurstMs;
+  for (int i = 0; i < 2; ++i) {
+    maxBurstsPerHour[i] = st.maxBurstsPerHour[i];
+    maxBurstsPerDay[i] = st.maxBurstsPerDay[i];
+  }
+  lockoutReason = st.lockoutReason <= LOCKOUT_WATCHDOG ? st.lockoutReason : LOCKOUT_NONE;
+  lockoutPump = st.lockoutPump <= PUMP_NONE ? st.lockoutPump : PUMP_NONE;
+}
+
+// write the running settings to EEPROM (EEPROM.put only rewrites changed bytes)
+void saveSettings() {
+  Settings st;
+  collectSettings(st);
+  st.magic = SETTINGS_MAGIC;
+  st.version = SETTINGS_VERSION;
+  st.size = sizeof(Settings);
+  st.checksum = settingsChecksum(st, sizeof(Settings));
+  EEPROM.put(SETTINGS_ADDR, st);
+}
+
+// load settings from EEPROM; on a blank or corrupt block use defaults
+void loadSettings() {
+  applyDefaultSettings();
+
+  // start from defaults so fields newer than the stored block keep them
+  Settings st;
+  collectSettings(st);
+
+  uint16_t magic;
+  EEPROM.get(SETTINGS_ADDR, magic);
+  uint8_t version = EEPROM.read(SETTINGS_ADDR + offsetof(Settings, version));
+  uint8_t size = EEPROM.read(SETTINGS_ADDR + offsetof(Settings, size));
+
+  if (magic == SETTINGS_MAGIC && version == 1) {
+    // byte 3 is calibration data here, not a size
+    if (readSettingsV1(st)) {
+      applySettings(st);
+      settingsFromEEPROM = true;
+    } else {
+      settingsFromEEPROM = false;
+    }
+    saveSettings();
+    return;
+  }
+
+  bool valid = magic == SETTINGS_MAGIC &&
+               version >= 2 && version <= SETTINGS_VERSION &&
+               size >= SETTINGS_HEADER_SIZE && size <= sizeof(Settings);
+
+  if (valid) {
+    uint8_t* bytes = (uint8_t*)&st;
+    for (size_t i = 0; i < size; ++i) bytes[i] = EEPROM.read(SETTINGS_ADDR + i);
+    valid = st.checksum == settingsChecksum(st, size);
+  }
+
+  if (!valid) {
+    saveSettings();
+    settingsFromEEPROM = false;
+    return;
+  }
+
+  applySettings(st);
+  settingsFromEEPROM = true;
+  // rewrite blocks from older firmware in the current layout
+  if (size < sizeof(Settings)) saveSettings();
+}
+
+uint8_t burstCountsChecksum(const BurstCounts &bc) {
+  const uint8_t* bytes = (const uint8_t*)&bc;
+  uint8_t sum = 0;
+  for (size_t i = 0; i < offsetof(BurstCounts, checksum); ++i) {
+    sum = (uint8_t)((sum << 1) | (sum >> 7)) ^ bytes[i];
+  }
+  return sum;
+}
+
+// write the burst counters and how far into each window they are
+void saveBurstCounts(unsigned long now) {
+  BurstCounts bc;
+  bc.magic = BURST_COUNTS_MAGIC;
+  for (int i = 0; i < 2; ++i) {
+    bc.thisHour[i] = burstsThisHour[i];
+    bc.today[i] = burstsToday[i];
+  }
+  bc.hourElapsedMs = now - hourWindowStart;
+  bc.dayElapsedMs = now - dayWindowStart;
+  bc.checksum = burstCountsChecksum(bc);
+  EEPROM.put(BURST_COUNTS_ADDR, bc);
+}
+
+// restore the counters saved before the last reset; blank or corrupt -> fresh windows
+void loadBurstCounts(unsigned long now) {
+  BurstCounts bc;
+  EEPROM.get(BURST_COUNTS_ADDR, bc);
+  if (bc.magic != BURST_COUNTS_MAGIC || bc.checksum != burstCountsChecksum(bc) ||
+      bc.hourElapsedMs >= HOUR_MS || bc.dayElapsedMs >= DAY_MS) {
+    hourWindowStart = dayWindowStart = now;
+    saveBurstCounts(now);
+    return;
+  }
+  for (int i = 0; i < 2; ++i) {
+    burstsThisHour[i] = bc.thisHour[i];
+    burstsToday[i] = bc.today[i];
+  }
+  // unsigned arithmetic: now - start == elapsed even when start wraps
+  hourWindowStart = now - bc.hourElapsedMs;
+  dayWindowStart = now - bc.dayElapsedMs;
+}
+
+// ---------- Serial command protocol ----------
+// open one JSON line: {"type":"<type>","seq":<n> -- the caller adds its
+// fields and the closing brace
+void beginMessage(const __FlashStringHelper* type) {
+  Serial.print(F("{\"type\":\""));
+  Serial.print(type);
+  Serial.print(F("\",\"seq\":"));
+  Serial.print(txSeq++);
+}
+
+void sendHello() {
+  beginMessage(F("hello"));
+  Serial.print(F(",\"protocol\":"));
+  Serial.print(PROTOCOL_VERSION);
+  Serial.print(F(",\"firmware\":\""));
+  Serial.print(FIRMWARE_NAME);
+  Serial.println(F("\"}"));
+}
+
+void sendAck(const char* cmd) {
+  beginMessage(F("ack"));
+  Serial.print(F(",\"cmd\":\""));
+  Serial.print(cmd);
+  Serial.println(F("\"}"));
+}
+
+void sendError(const char* cmd, const __FlashStringHelper* msg) {
+  beginMessage(F("error"));
+  Serial.print(F(",\"cmd\":\""));
+  Serial.print(cmd);
+  Serial.print(F("\",\"msg\":\""));
+  Serial.print(msg);
+  Serial.println(F("\"}"));
+}
+
+void sendStatus() {
+  beginMessage(F("status"));
+  Serial.print(F(",\"min\":"));
+  Serial.print(targetPHMin, 2);
+  Serial.print(F(",\"max\":"));
+  Serial.print(targetPHMax, 2);
+  Serial.print(F(",\"lowOn\":"));
+  Serial.print(pH_low_threshold, 2);
+  Serial.print(F(",\"lowOff\":"));
+  Serial.print(pH_low_exit, 2);
+  Serial.print(F(",\"highOn\":"));
+  Serial.print(pH_high_threshold, 2);
+  Serial.print(F(",\"highOff\":"));
+  Serial.print(pH_high_exit, 2);
+  Serial.print(F(",\"burstMs\":"));
+  Serial.print(pumpBurstMs);
+  Serial.print(F(",\"gapMs\":"));
+  Serial.print(minGapBetweenBursts);
+  Serial.print(F(",\"fault\":\""));
+  Serial.print(faultName(sensorFault));
+  Serial.print(F("\",\"mode\":\""));
+  Serial.print(modeName(operatingMode));
+  Serial.print(F("\",\"mixMs\":"));
+  Serial.print(mixGapMs);
+  Serial.print(F(",\"lockout\":\""));
+  Serial.print(lockoutName(lockoutReason));
+  Serial.print(F("\",\"lockoutPump\":\""));
+  Serial.print(pumpName(lockoutPump));
+  Serial.print(F("\",\"bursts\":{\"basic\":["));
+  Serial.print(burstsThisHour[PUMP_BASIC]);
+  Serial.print(',');
+  Serial.print(burstsToday[PUMP_BASIC]);
+  Serial.print(F("],\"acidic\":["));
+  Serial.print(burstsThisHour[PUMP_ACIDIC]);
+  Serial.print(',');
+  Serial.print(burstsToday[PUMP_ACIDIC]);
+  Serial.println(F("]}}"));
+}
+
+void sendConfig() {
+  beginMessage(F("config"));
+  Serial.print(F(",\"version\":"));
+  Serial.print(SETTINGS_VERSION);
+  Serial.print(F(",\"source\":\""));
+  Serial.print(settingsFromEEPROM ? F("eeprom") : F("defaults"));
+  Serial.print(F("\",\"cal\":["));
+  for (int i = 0; i < CAL_POINTS; ++i) {
+    if (i > 0) Serial.print(',');
+    Serial.print('[');
+    Serial.print(calPH[i], 2);
+    Serial.print(',');
+    Serial.print(calV[i], 3);
+    Serial.print(']');
+  }
+  Serial.print(F("],\"calTemp\":"));
+  Serial.print(calTempC, 1);
+  Serial.print(F(",\"tempSensor\":"));
+  Serial.print(HAS_TEMP_SENSOR ? F("true") : F("false"));
+  Serial.print(F(",\"slope\":"));
+  Serial.print(slope, 6);
+  Serial.print(F(",\"intercept\":"));
+  Serial.print(intercept, 6);
+  Serial.print(F(",\"min\":"));
+  Serial.print(targetPHMin, 2);
+  Serial.print(F(",\"max\":"));
+  Serial.print(targetPHMax, 2);
+  Serial.print(F(",\"burstMs\":"));
+  Serial.print(pumpBurstMs);
+  Serial.print(F(",\"gapMs\":"));
+  Serial.print(minGapBetweenBursts);
+  Serial.print(F(",\"filter\":\""));
+  Serial.print(filterName(filterType));
+  Serial.print(F("\",\"window\":"));
+  Serial.print(filterWindow);
+  Serial.print(F(",\"alpha\":"));
+  Serial.print(emaAlpha, 2);
+  Serial.print(F(",\"mode\":\""));
+  Serial.print(modeName(operatingMode));
+  Serial.print(F("\",\"control\":\""));
+  Serial.print(controlMode == CONTROL_PROPORTIONAL ? F("proportional") : F("fixed"));
+  Serial.print(F("\",\"kp\":"));
+  Serial.print(kp, 1);
+  Serial.print(F(",\"ki\":"));
+  Serial.print(ki, 1);
+  Serial.print(F(",\"maxBurstMs\":"));
+  Serial.print(maxBurstMs);
+  Serial.print(F(",\"mixMs\":"));
+  Serial.print(mixGapMs);
+  Serial.print(F(",\"limits\":{\"basic\":["));
+  Serial.print(maxBurstsPerHour[PUMP_BASIC]);
+  Serial.print(',');
+  Serial.print(maxBurstsPerDay[PUMP_BASIC]);
+  Serial.print(F("],\"acidic\":["));
+  Serial.print(maxBurstsPerHour[PUMP_ACIDIC]);
+  Serial.print(',');
+  Serial.print(maxBurstsPerDay[PUMP_ACIDIC]);
+  Serial.println(F("]}}"));
+}
+
+// parse exactly n comma-separated floats; returns false on junk or a wrong count
+bool parseFloatList(const char* args, float* out, int n) {
+  const char* p = args;
+  for (int i = 0; i < n; ++i) {
+    char* end;
+    out[i] = strtod(p, &end);
+    if (end == p) return false;
+    char expected = (i == n - 1) ? '\0' : ',';
+    if (*end != expected) return false;
+    p = end + 1;
+  }
+  return true;
+}
+
+// parse an unsigned integer argument; returns false on junk
+bool parseULong(const char* args, unsigned long &value) {
+  char* end;
+  value = strtoul(args, &end, 10);
+  return end != args && *end == '\0';
+}
+
+// parse "basic|acidic[,ms]" for DOSE/PRIME; ms keeps its value when omitted
+bool parsePumpArgs(char* args, bool &basic, unsigned long &ms) {
+  char* param = strchr(args, ',');
+  if (param) *param++ = '\0';
+  if (strcmp(args, "basic") == 0) basic = true;
+  else if (strcmp(args, "acidic") == 0) basic = false;
+  else return false;
+  return !param || parseULong(param, ms);
+}
+
+// handle one complete command line (without the newline)
+void handleCommand(char* line) {
+  // split "NAME:args" -> name + args
+  char* args = strchr(line, ':');
+  if (args) {
+    *args = '\0';
+    args++;
+  } else {
+    args = line + strlen(line);
+  }
+  const char* name = line;
+
+  if (strcmp(name, "SET_PH_RANGE") == 0) {
+    float range[2];
+    if (!parseFloatList(args, range, 2)) {
+      sendError(name, F("expected min,max"));
+      return;
+    }
+    float minPH = range[0];
+    float maxPH = range[1];
+    if (minPH < 0 || maxPH > 14 || minPH >= maxPH) {
+      sendError(name, F("range out of bounds"));
+      return;
+    }
+    applyPHRange(minPH, maxPH);
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "SET_BURST") == 0) {
+    unsigned long ms;
+    if (!parseULong(args, ms)) {
+      sendError(name, F("expected milliseconds"));
+      return;
+    }
+    if (ms < MIN_BURST_MS || ms > MAX_BURST_MS) {
+      sendError(name, F("burst out of bounds"));
+      return;
+    }
+    pumpBurstMs = ms;
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "SET_GAP") == 0) {
+    unsigned long ms;
+    if (!parseULong(args, ms)) {
+      sendError(name, F("expected milliseconds"));
+      return;
+    }
+    if (ms < MIN_GAP_MS || ms > MAX_GAP_MS) {
+      sendError(name, F("gap out of bounds"));
+      return;
+    }
+    minGapBetweenBursts = ms;
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "SET_CAL") == 0) {
+    float vals[CAL_POINTS * 2];
+    if (!parseFloatList(args, vals, CAL_POINTS * 2)) {
+      sendError(name, F("expected pH,V pairs"));
+      return;
+    }
+    for (int i = 0; i < CAL_POINTS; ++i) {
+      float ph = vals[i * 2];
+      float volts = vals[i * 2 + 1];
+      if (ph < 0 || ph > 14 || volts < 0 || volts > 5.0f) {
+        sendError(name, F("point out of bounds"));
+        return;
+      }
+      // distinct voltages are needed for a usable fit
+      for (int j = 0; j < i; ++j) {
+        if (fabs(vals[j * 2 + 1] - volts) < 0.01f) {
+          sendError(name, F("voltages too close"));
+          return;
+        }
+      }
+    }
+    for (int i = 0; i < CAL_POINTS; ++i) {
+      calPH[i] = vals[i * 2];
+      calV[i] = vals[i * 2 + 1];
+    }
+    // buffers were measured at the current solution temperature
+    calTempC = isnan(lastTempC) ? DEFAULT_CAL_TEMP_C : lastTempC;
+    computeCalibration();
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "SET_FILTER") == 0) {
+    // "name" or "name,param"
+    char* param = strchr(args, ',');
+    if (param) *param++ = '\0';
+    uint8_t type;
+    if (!parseFilterName(args, type)) {
+      sendError(name, F("unknown filter"));
+      return;
+    }
+    if (type == FILTER_EMA) {
+      float alpha = emaAlpha;
+      if (param && !parseFloatList(param, &alpha, 1)) {
+        sendError(name, F("expected alpha"));
+        return;
+      }
+      if (alpha <= 0.0f || alpha > 1.0f) {
+        sendError(name, F("alpha out of bounds"));
+        return;
+      }
+      emaAlpha = alpha;
+    } else {
+      unsigned long size = filterWindow;
+      if (param && !parseULong(param, size)) {
+        sendError(name, F("expected window"));
+        return;
+      }
+      if (size < 1 || size > FILTER_MAX_SIZE) {
+        sendError(name, F("window out of bounds"));
+        return;
+      }
+      filterWindow = (uint8_t)size;
+    }
+    filterType = type;
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "DOSE") == 0 || strcmp(name, "PRIME") == 0) {
+    bool prime = strcmp(name, "PRIME") == 0;
+    bool basic;
+    unsigned long ms = prime ? DEFAULT_PRIME_MS : 0;
+    if (!parsePumpArgs(args, basic, ms) || ms == 0) {
+      sendError(name, prime ? F("expected pump[,ms]") : F("expected pump,ms"));
+      return;
+    }
+    if (ms < MIN_BURST_MS || ms > (prime ? MAX_PRIME_MS : MAX_DOSE_MS)) {
+      sendError(name, F("duration out of bounds"));
+      return;
+    }
+    if (operatingMode == MODE_MONITOR ||
+        (operatingMode == MODE_MAINTENANCE && !prime)) {
+      sendError(name, F("not allowed in this mode"));
+      return;
+    }
+    if (lockoutReason != LOCKOUT_NONE && !prime) {
+      sendError(name, F("locked out"));
+      return;
+    }
+    if (pumpRunning || pumpRequest.pending) {
+      sendError(name, F("pump busy"));
+      return;
+    }
+    pumpRequest.pending = true;
+    pumpRequest.basic = basic;
+    pumpRequest.ms = ms;
+    pumpRequest.source = prime ? "prime" : "manual";
+    sendAck(name);
+  } else if (strcmp(name, "STOP") == 0) {
+    // pumps off first, bookkeeping after
+    stopPumps();
+    pumpRequest.pending = false;
+    stopRequested = pumpRunning;
+    sendAck(name);
+  } else if (strcmp(name, "SET_CONTROL") == 0) {
+    // "fixed" or "proportional,kp,ki,maxMs"
+    char* params = strchr(args, ',');
+    if (params) *params++ = '\0';
+    if (strcmp(args, "fixed") == 0 && !params) {
+      controlMode = CONTROL_FIXED;
+    } else if (strcmp(args, "proportional") == 0 && params) {
+      float vals[3];
+      if (!parseFloatList(params, vals, 3)) {
+        sendError(name, F("expected kp,ki,maxMs"));
+        return;
+      }
+      if (vals[0] <= 0 || vals[0] > MAX_GAIN || vals[1] < 0 || vals[1] > MAX_GAIN ||
+          vals[2] < MIN_BURST_MS || vals[2] > MAX_BURST_MS) {
+        sendError(name, F("parameters out of bounds"));
+        return;
+      }
+      kp = vals[0];
+      ki = vals[1];
+      maxBurstMs = (unsigned long)vals[2];
+      controlMode = CONTROL_PROPORTIONAL;
+      errorIntegral = 0.0f;
+    } else {
+      sendError(name, F("expected fixed or proportional,kp,ki,maxMs"));
+      return;
+    }
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "SET_LIMITS") == 0) {
+    float vals[4];
+    if (!parseFloatList(args, vals, 4)) {
+      sendError(name, F("expected basicHour,basicDay,acidicHour,acidicDay"));
+      return;
+    }
+    for (int i = 0; i < 4; ++i) {
+      if (vals[i] < 1 || vals[i] > MAX_LIMIT || vals[i] != (float)(int)vals[i]) {
+        sendError(name, F("limit out of bounds"));
+        return;
+      }
+    }
+    if (vals[0] > vals[1] || vals[2] > vals[3]) {
+      sendError(name, F("hourly limit above daily"));
+      return;
+    }
+    maxBurstsPerHour[PUMP_BASIC] = (uint16_t)vals[0];
+    maxBurstsPerDay[PUMP_BASIC] = (uint16_t)vals[1];
+    maxBurstsPerHour[PUMP_ACIDIC] = (uint16_t)vals[2];
+    maxBurstsPerDay[PUMP_ACIDIC] = (uint16_t)vals[3];
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "RESET_LOCKOUT") == 0) {
+    if (lockoutReason != LOCKOUT_NONE) {
+      sendLockout(false);
+      lockoutReason = LOCKOUT_NONE;
+      lockoutPump = PUMP_NONE;
+      // start counting afresh so the limit does not trip again at once
+      burstsThisHour[PUMP_BASIC] = burstsThisHour[PUMP_ACIDIC] = 0;
+      burstsToday[PUMP_BASIC] = burstsToday[PUMP_ACIDIC] = 0;
+      hourWindowStart = dayWindowStart = millis();
+      doseResponse.waiting = false;
+      saveSettings();
+      saveBurstCounts(millis());
+    }
+    sendAck(name);
+  } else if (strcmp(name, "SET_MODE") == 0) {
+    uint8_t mode;
+    if (!parseModeName(args, mode)) {
+      sendError(name, F("unknown mode"));
+      return;
+    }
+    if (mode == MODE_MONITOR || mode == MODE_MAINTENANCE) {
+      // nothing may keep running into a mode without dosing
+      stopPumps();
+      pumpRequest.pending = false;
+      stopRequested = pumpRunning;
+    }
+    if (operatingMode == MODE_MAINTENANCE && mode != MODE_MAINTENANCE) {
+      // the probe was out: don't compare against readings from before
+      lastRawPH = NAN;
+      flatRefV = NAN;
+      flatCount = 0;
+    }
+    operatingMode = mode;
+    saveSettings();
+    sendAck(name);
+  } else if (strcmp(name, "HELLO") == 0) {
+    sendHello();
+  } else if (strcmp(name, "STATUS") == 0) {
+    sendStatus();
+  } else if (strcmp(name, "CONFIG") == 0) {
+    sendConfig();
+  } else if (strcmp(name, "RESET_CONFIG") == 0) {
+    applyDefaultSettings();
+    saveSettings();
+    computeCalibration();
+    applyPHRange(targetPHMin, targetPHMax);
+    sendAck(name);
+  } else {
+    sendError(name, F("unknown command"));
+  }
+}
+
+// collect incoming bytes into lines without blocking the control loop
+void readSerialCommands() {
+  while (Serial.available() > 0) {
+    char c = Serial.read();
+    if (c == '\r') continue;
+    if (c == '\n') {
+      cmdBuffer[cmdLength] = '\0';
+      if (cmdOverflow) sendError("?", F("command too long"));
+      else if (cmdLength > 0) handleCommand(cmdBuffer);
+      cmdLength = 0;
+      cmdOverflow = false;
+    } else if (cmdLength < CMD_BUFFER_SIZE - 1) {
+      cmdBuffer[cmdLength++] = c;
+    } else {
+      cmdOverflow = true;
+    }
+  }
+}
+
+// Reset cause, captured before the C runtime starts. Optiboot clears MCUSR
+// before it jumps to the sketch and hands the flags over in r2; without a
+// bootloader MCUSR still holds them. The watchdog stays enabled after a
+// watchdog reset, so it is stopped here too, before it can fire again during
+// startup.
+uint8_t resetFlags __attribute__((section(".noinit")));
+
+void captureResetFlags() __attribute__((naked, used, section(".init3")));
+void captureResetFlags() {
+  uint8_t fromBootloader;
+  __asm__ __volatile__("mov %0, r2" : "=r"(fromBootloader));
+  resetFlags = MCUSR;
+  // every hardware reset sets a flag, so 0 means optiboot cleared them
+  if (resetFlags == 0) resetFlags = fromBootloader;
+  MCUSR = 0;
+  wdt_disable();
+}
+
 void setup() {
+  // a watchdog reset means loop() stalled, possibly with a pump running
+  bool watchdogReset = resetFlags & _BV(WDRF);
+
   Serial.begin(9600);
   pinMode(basic_pump_in1, OUTPUT);
   pinMode(basic_pump_in2, OUTPUT);
@@ -103,37 +1389,63 @@ void setup() {
   pinMode(acidic_pump_in4, OUTPUT);
   stopPumps();
 
-  // initialize MA buffer
-  for (int i = 0; i < MA_SIZE; ++i) maBuffer[i] = 0.0f;
+  // initialize filter buffer
+  for (int i = 0; i < FILTER_MAX_SIZE; ++i) filterBuffer[i] = 0.0f;
+
+  // restore persisted settings (falls back to defaults on first boot)
+  loadSettings();
+  loadBurstCounts(millis());
+  mixGapMs = minGapBetweenBursts;  // until a dose response is observed
 
   // compute calibration
   computeCalibration();
+  applyPHRange(targetPHMin, targetPHMax);
 
-  // Print calibration info for verification
-  Serial.println(F("=== pH Calibration (computed) ==="));
-  Serial.print(F("cal points: pH4@")); Serial.print(cal_V1, 3);
-  Serial.print(F(" V , pH7@")); Serial.print(cal_V2, 3);
-  Serial.print(F(" V , pH10@")); Serial.print(cal_V3, 3); Serial.println(F(" V"));
-
-  Serial.print(F("slope = ")); Serial.println(slope, 6);
-  Serial.print(F("intercept = ")); Serial.println(intercept, 6);
-
-  Serial.println(F("Use these to verify: pH = slope * voltage + intercept"));
-  Serial.println(F("===================================="));
+  // protocol handshake, then the calibration (slope/intercept) for verification
+  sendHello();
+  sendConfig();
+  if (watchdogReset) setLockout(LOCKOUT_WATCHDOG, PUMP_NONE);
+  else if (lockoutReason != LOCKOUT_NONE) sendLockout(true);  // restored from EEPROM
   delay(500);
+
+  // from here on a stalled loop resets the board, which switches the pumps off
+  wdt_enable(WDTO_4S);
 }
 
 void loop() {
+  wdt_reset();
+
+  // apply any commands the dashboard sent since the last pass
+  readSerialCommands();
+
+  // a DOSE/PRIME queued by handleCommand()
+  if (pumpRequest.pending) {
+    pumpRequest.pending = false;
+    runPumpBurst(pumpRequest.basic, pumpRequest.ms, pumpRequest.source);
+    lastPumpMillis = millis(); // let it mix before automatic control doses again
+  }
+
   // read and filter voltage
   float rawV = readVoltage();
-  float v = applyMA(rawV);
+  float v = applyFilter(rawV);
 
-  // compute pH from linear calibration
-  float pH = slope * v + intercept;
+  // compute pH from linear calibration, then correct for solution temperature
+  lastTempC = readTemperatureC();
+  float pH = compensatePH(slope * v + intercept, lastTempC);
+  float rawPH = compensatePH(slope * rawV + intercept, lastTempC);
+
+  // check the unfiltered sample so a spike is caught before the filter hides it;
+  // a probe out for cleaning would only raise false faults
+  SensorFault sample = FAULT_NONE;
+  if (operatingMode != MODE_MAINTENANCE) {
+    sample = checkSensor(rawV, rawPH);
+    updateSensorFault(sample);
+  }
 
   // clamp pH to reasonable bounds
   if (pH < 0) pH = 0;
   if (pH > 14) pH = 14;
+  rawPH = constrain(rawPH, 0.0f, 14.0f);
 
   // Pump decision with hysteresis and burst safety
   String pumpType = "none";
@@ -141,8 +1453,10 @@ void loop() {
 
   unsigned long now = millis();
 
-  // If we recently ran a pump, enforce minimum gap
-  bool allowedToRun = (now - lastPumpMillis) > minGapBetweenBursts;
+  // If we recently ran a pump, enforce the gap (fixed or learned mixing delay)
+  bool allowedToRun = (now - lastPumpMillis) > dosingGapMs();
+  updateIntegral(pH, now);
+  trackDoseResponse(pH, now);
 
   // Decide whether to run base pump
   static bool base_active = false;
@@ -169,32 +1483,43 @@ void loop() {
     }
   }
 
+  // Only auto mode doses on its own, never from a faulted probe or while locked out
+  if (operatingMode != MODE_AUTO || sensorFault != FAULT_NONE ||
+      lockoutReason != LOCKOUT_NONE) {
+    base_active = false;
+    acid_active = false;
+  }
+
   // Prevent both pumps active at the same time
   if (base_active && acid_active) {
     // conflict -> prioritize whichever has larger deviation
-    float devBase = fabs(pH - 6.5);
-    float devAcid = fabs(pH - 7.5);
+    float devBase = fabs(pH - targetPHMin);
+    float devAcid = fabs(pH - targetPHMax);
     if (devBase >= devAcid) acid_active = false;
     else base_active = false;
   }
 
+  // Each pump has a budget of automatic bursts per hour and per day
+  if (base_active && !withinBurstLimits(PUMP_BASIC, now)) base_active = false;
+  if (acid_active && !withinBurstLimits(PUMP_ACIDIC, now)) acid_active = false;
+
   if (base_active) {
     pumpType = "basic";
     pumpAction = "on";
-    runBasicPump();
     lastPumpMillis = now;
-    delay(pumpBurstMs);
-    stopPumps();
-    pumpRunning = false;
-    base_active = false; // one-shot burst; re-evaluated after minGapBetweenBursts
+    runPumpBurst(true, burstLengthMs(pH), "auto");
+    burstsThisHour[PUMP_BASIC]++;
+    burstsToday[PUMP_BASIC]++;
+    startDoseResponse(true, pH);
+    base_active = false; // one-shot burst; re-evaluated after dosingGapMs()
   } else if (acid_active) {
     pumpType = "acidic";
     pumpAction = "on";
-    runAcidicPump();
     lastPumpMillis = now;
-    delay(pumpBurstMs);
-    stopPumps();
-    pumpRunning = false;
+    runPumpBurst(false, burstLengthMs(pH), "auto");
+    burstsThisHour[PUMP_ACIDIC]++;
+    burstsToday[PUMP_ACIDIC]++;
+    startDoseResponse(false, pH);
     acid_active = false; // one-shot
   } else {
     pumpType = "none";
@@ -202,21 +1527,84 @@ void loop() {
   }
 
   // Output JSON for your dashboard
-  Serial.print("{\"pH\":");
+  beginMessage(F("reading"));
+  Serial.print(",\"pH\":");
   Serial.print(pH, 2);
   Serial.print(",\"voltage\":");
   Serial.print(v, 3);
+  Serial.print(",\"rawPH\":");
+  Serial.print(rawPH, 2);
+  Serial.print(",\"rawVoltage\":");
+  Serial.print(rawV, 3);
+  Serial.print(",\"mode\":\"");
+  Serial.print(modeName(operatingMode));
+  Serial.print('"');
+  if (!isnan(lastTempC)) {
+    Serial.print(",\"temp\":");
+    Serial.print(lastTempC, 1);
+  }
+  if (sample != FAULT_NONE) Serial.print(",\"suspect\":true");
+  if (sensorFault != FAULT_NONE) {
+    Serial.print(",\"fault\":\"");
+    Serial.print(faultName(sensorFault));
+    Serial.print('"');
+  }
+  if (lockoutReason != LOCKOUT_NONE) {
+    Serial.print(",\"lockout\":\"");
+    Serial.print(lockoutName(lockoutReason));
+    Serial.print('"');
+  }
   Serial.print(",\"pump\":\"");
   Serial.print(pumpType);
   Serial.print("\",\"action\":\"");
   Serial.print(pumpAction);
   Serial.println("\"}");
 
-  // small delay (sampling cadence)
-  delay(800);
+  // sampling cadence; keep reading commands so DOSE/STOP are not held back
+  unsigned long waitStart = millis();
+  while (millis() - waitStart < SAMPLE_INTERVAL_MS && !pumpRequest.pending) {
+    readSerialCommands();
+  }
 }
 
 // Pump helpers
+void sendPumpEvent(const char* pump, const char* event, const char* source,
+                   unsigned long durationMs) {
+  beginMessage(F("pump"));
+  Serial.print(F(",\"pump\":\""));
+  Serial.print(pump);
+  Serial.print(F("\",\"event\":\""));
+  Serial.print(event);
+  Serial.print(F("\",\"source\":\""));
+  Serial.print(source);
+  Serial.print('"');
+  if (durationMs > 0) {
+    Serial.print(F(",\"durationMs\":"));
+    Serial.print(durationMs);
+  }
+  Serial.println('}');
+}
+
+// run one pump for ms and report start/stop so the dashboard logs exactly one
+// dose; commands are served meanwhile and STOP ends the run early
+void runPumpBurst(bool basic, unsigned long ms, const char* source) {
+  const char* pump = basic ? "basic" : "acidic";
+  sendPumpEvent(pump, "start", source, 0);
+  unsigned long started = millis();
+  pumpRunning = true;
+  stopRequested = false;
+  if (basic) runBasicPump();
+  else runAcidicPump();
+  while (millis() - started < ms && !stopRequested) {
+    wdt_reset();  // a long PRIME is not a stall
+    readSerialCommands();
+  }
+  stopPumps();
+  pumpRunning = false;
+  stopRequested = false;
+  sendPumpEvent(pump, "stop", source, millis() - started);
+}
+
 void runBasicPump() {
   digitalWrite(basic_pump_in1, HIGH);
   digitalWrite(basic_pump_in2, LOW);
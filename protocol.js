@@ -0,0 +1,197 @@
+// ==========================================
+// EcoSterile Serial Protocol
+// ==========================================
+// Protocol version 2, documented in the header of Arduino.cpp: one JSON
+// object per line, each with a "type" and a "seq" number counting lines since
+// the board booted. Every line is checked against MESSAGE_SCHEMA before
+// anything acts on it. Fields not listed are allowed, so the firmware can add
+// information without a version bump.
+//
+// Nothing here touches the DOM: the dashboard loads it before script.js, and
+// Node (the tests in test/) requires it.
+const PROTOCOL_VERSION = 2;
+
+const DEVICE_MODES = ["auto", "manual", "monitor", "maintenance"];
+const DEVICE_FAULTS = ["flatline", "jump", "pinned", "span"];
+const DEVICE_LOCKOUTS = ["hourly_limit", "daily_limit", "wrong_direction", "watchdog"];
+
+// field -> "number" | "string" | "boolean" | "array" | "object" | [allowed values];
+// a trailing "?" marks an optional field
+const MESSAGE_SCHEMA = {
+  hello: { protocol: "number", firmware: "string" },
+  reading: {
+    pH: "number",
+    voltage: "number",
+    rawPH: "number",
+    rawVoltage: "number",
+    mode: DEVICE_MODES,
+    "temp?": "number",
+    "suspect?": "boolean",
+    "fault?": DEVICE_FAULTS,
+    "lockout?": DEVICE_LOCKOUTS,
+    pump: ["basic", "acidic", "none"],
+    action: ["on", "off"],
+  },
+  pump: {
+    pump: ["basic", "acidic"],
+    event: ["start", "stop"],
+    source: ["auto", "manual", "prime"],
+    "durationMs?": "number",
+  },
+  config: {
+    version: "number",
+    source: ["eeprom", "defaults"],
+    cal: "array",
+    calTemp: "number",
+    tempSensor: "boolean",
+    slope: "number",
+    intercept: "number",
+    min: "number",
+    max: "number",
+    burstMs: "number",
+    gapMs: "number",
+    filter: ["ma", "median", "trimmed", "ema"],
+    window: "number",
+    alpha: "number",
+    mode: DEVICE_MODES,
+    control: ["fixed", "proportional"],
+    kp: "number",
+    ki: "number",
+    maxBurstMs: "number",
+    mixMs: "number",
+    limits: "object",
+  },
+  status: {
+    min: "number",
+    max: "number",
+    lowOn: "number",
+    lowOff: "number",
+    highOn: "number",
+    highOff: "number",
+    burstMs: "number",
+    gapMs: "number",
+    fault: [...DEVICE_FAULTS, "none"],
+    mode: DEVICE_MODES,
+    mixMs: "number",
+    lockout: [...DEVICE_LOCKOUTS, "none"],
+    lockoutPump: ["basic", "acidic", "none"],
+    bursts: "object",
+  },
+  ack: { cmd: "string" },
+  error: { cmd: "string", msg: "string" },
+  fault: { fault: DEVICE_FAULTS, active: "boolean" },
+  mixing: { responseMs: "number", mixMs: "number" },
+  lockout: { reason: DEVICE_LOCKOUTS, pump: ["basic", "acidic", "none"], active: "boolean" },
+};
+
+function matchesFieldSpec(value, spec) {
+  if (Array.isArray(spec)) return spec.includes(value);
+  if (spec === "array") return Array.isArray(value);
+  if (spec === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (spec === "number") return typeof value === "number" && isFinite(value);
+  return typeof value === spec;
+}
+
+// Returns what is wrong with a parsed line, or null when it fits the schema
+function validateMessage(obj) {
+  if (obj === null || typeof obj !== "object" || Array.isArray(obj)) return "not a JSON object";
+  const schema = MESSAGE_SCHEMA[obj.type];
+  if (!schema) return obj.type === undefined ? "missing type" : `unknown type "${obj.type}"`;
+  if (!Number.isInteger(obj.seq) || obj.seq < 0) return "missing seq";
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const optional = key.endsWith("?");
+    const field = optional ? key.slice(0, -1) : key;
+    if (obj[field] === undefined) {
+      if (optional) continue;
+      return `missing "${field}"`;
+    }
+    if (!matchesFieldSpec(obj[field], spec)) return `invalid "${field}"`;
+  }
+  return null;
+}
+
+// Track sequence numbers on a link: returns how many lines were lost before
+// this one, or -1 when it arrived out of order (it is then dropped and the
+// count restarts from it, so a rebooted board whose first line was garbled is
+// followed again straight away)
+function checkSequence(link, seq) {
+  // first line on this link, or the board restarted its count
+  if (link.lastSeq === null || seq === 0) {
+    link.lastSeq = seq;
+    return 0;
+  }
+  const expected = link.lastSeq + 1;
+  link.lastSeq = seq;
+  if (seq < expected) {
+    link.stats.outOfOrder++;
+    return -1;
+  }
+  link.stats.dropped += seq - expected;
+  return seq - expected;
+}
+
+// Counters kept per serial link
+function createLinkStats() {
+  return { received: 0, dropped: 0, malformed: 0, outOfOrder: 0 };
+}
+
+// Parse and validate one line. Returns { message } for a valid message, or
+// { problem, kind } where kind is "unparsed" for a line that is not JSON and
+// "error" for one that does not fit the schema.
+function parseDeviceLine(line) {
+  let obj;
+  try {
+    obj = JSON.parse(line);
+  } catch (parseError) {
+    // bootloader noise, a line garbled on the wire or a foreign sketch
+    return { message: null, problem: "not JSON", kind: "unparsed" };
+  }
+  const problem = validateMessage(obj);
+  if (problem) return { message: null, problem, kind: "error" };
+  return { message: obj, problem: null, kind: "parsed" };
+}
+
+// A message from firmware older than protocol version 2, as found in
+// recorded sessions, brought up to version 2 and numbered seq. Those lines
+// had no seq, and readings had no type and fewer fields: the first firmware
+// only dosed automatically and sent no unfiltered values, so mode is "auto"
+// and the filtered values stand in for the raw ones. Returns null for
+// anything that is not such a message (including version 2 ones).
+function upgradeLegacyMessage(obj, seq) {
+  if (obj === null || typeof obj !== "object" || Array.isArray(obj)) return null;
+  if (obj.seq !== undefined) return null;
+  if (obj.type === undefined) {
+    if (typeof obj.pH !== "number") return null;
+    return {
+      rawPH: obj.pH,
+      rawVoltage: obj.voltage,
+      mode: "auto",
+      pump: "none",
+      action: obj.pump === "basic" || obj.pump === "acidic" ? "on" : "off",
+      ...obj,
+      type: "reading",
+      seq,
+    };
+  }
+  return { ...obj, seq };
+}
+
+// Protocol lines that report a problem rather than data
+function isDeviceErrorMessage(obj) {
+  return obj.type === "error" || (obj.type === "fault" && obj.active === true);
+}
+
+// Node: require("./protocol.js"); browsers get the functions as globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROTOCOL_VERSION,
+    MESSAGE_SCHEMA,
+    validateMessage,
+    checkSequence,
+    createLinkStats,
+    parseDeviceLine,
+    upgradeLegacyMessage,
+    isDeviceErrorMessage,
+  };
+}
@@ -3,36 +3,54 @@
 // ==========================================
 
 // Data Storage
-let phData = {
-  timestamps: [],
-  values: [],
-  pumpLog: [],
-  lastPump: null,
-  systemStartTime: new Date(),
-};
+// timestamps/values/temps hold only the recent window of raw readings
+// (RECENT_WINDOW_MS); the full history lives in IndexedDB (historyStore).
+// Both belong to the tank open in the dashboard (see the Tanks section).
+function createPHData() {
+  return {
+    timestamps: [],
+    values: [],
+    temps: [], // solution temperature (°C) per reading, null when not measured
+    suspect: [], // true for readings flagged by the sensor fault checks
+    raw: [], // unfiltered pH per reading when the device reports it, else null
+    pumpLog: [], // last 30 days of doses
+
+    lastPump: null,
+    systemStartTime: new Date(),
+  };
+}
+
+let phData = createPHData();
 
 // Runtime state for serial/demo
 let simInterval = null;
 let arduinoConnected = false;
-let lastReportedPump = null; // track last pump reported by Arduino to avoid duplicate logs
 // Dynamic optimal pH range (defaults)
 let optimalPHMin = 6.5;
 let optimalPHMax = 7.5;
+let legacyData = null; // pre-IndexedDB snapshot found in localStorage, migrated on startup
+const DATA_KEY = "ecosterile_data";
+
 // Load data from localStorage
 function loadData() {
-  const stored = localStorage.getItem("ecosterile_data");
+  const stored = localStorage.getItem(tankStorageKey(DATA_KEY));
   if (stored) {
     try {
-      phData = JSON.parse(stored);
-      phData.systemStartTime = new Date(phData.systemStartTime);
+      const parsed = JSON.parse(stored);
+      phData.lastPump = parsed.lastPump || null;
+      phData.systemStartTime = new Date(parsed.systemStartTime || Date.now());
+      // Older versions kept every reading in this key
+      if (Array.isArray(parsed.timestamps)) legacyData = parsed;
     } catch (e) {
       console.log("Starting with fresh data");
     }
   }
 }
 
-// Use this function in place of the previous startStaticPlayback
-// It maps wall-clock time to an index inside the JSON so EVERY visitor sees the same pH at the same real time.
+// Play a recorded pH series through the demo firmware simulator in place of
+// its tank model. It maps wall-clock time to an index inside the JSON so EVERY
+// visitor sees the same pH at the same real time; the simulator doses as the
+// firmware would (the recording does not respond to the doses).
 // readings[] should be an array of objects like { "ts": "...", "ph": 7.02 } but ts is used only to determine epoch.
 // intervalMs must be same as the spacing used when you generated the JSON (default: 5000 ms).
 async function startStaticPlayback(
@@ -61,48 +79,395 @@ async function startStaticPlayback(
       if (!isNaN(parsed)) epoch = parsed;
     }
 
-    // Ensure simulation is not already running
+    // Tank model for the simulator: the reading due at the current wall-clock time
+    const recording = {
+      pH: 7.0,
+      pumping: null, // set by the simulator while it doses
+      step() {
+        const elapsed = Math.max(0, Date.now() - epoch);
+        const index = Math.floor(elapsed / intervalMs) % readings.length;
+        const phValue = parseFloat(readings[index].ph);
+        if (!isNaN(phValue)) this.pH = phValue;
+      },
+    };
+    recording.step();
+
     stopSimulation();
+    startSimulation(recording);
+  } catch (err) {
+    console.error("Static playback failed:", err);
+    // Fallback: if static playback fails, start normal local simulation
+    if (!simInterval) startSimulation();
+  }
+}
 
-    // Helper function to set the current reading based on wall-clock time
-    function applyCurrentReading() {
-      const now = Date.now();
-      const elapsed = Math.max(0, now - epoch);
-      const index = Math.floor(elapsed / intervalMs) % readings.length;
-      const phValue = parseFloat(readings[index].ph);
-      console.log("Applying reading:", readings[index]); // Debug log
-      if (!isNaN(phValue)) {
-        // Add pH reading to the dashboard
-        addPHReading(phValue);
-        simulatePumpControl(phValue);
+// Save data to localStorage. Readings and pump log go to IndexedDB as they
+// arrive, so only the small bits of state are kept here.
+function saveData() {
+  if (!historyStore.db) {
+    // No IndexedDB: keep the full snapshot like older versions did
+    localStorage.setItem(tankStorageKey(DATA_KEY), JSON.stringify(phData));
+    return;
+  }
+  localStorage.setItem(
+    tankStorageKey(DATA_KEY),
+    JSON.stringify({
+      lastPump: phData.lastPump,
+      systemStartTime: phData.systemStartTime,
+    })
+  );
+}
+
+// ==========================================
+// History Store (IndexedDB)
+// ==========================================
+// Append-only time-series storage:
+//   readings   - raw { t, ph, temp } keyed by epoch ms
+//   rollup_1m  - per-minute { t, n, sum, min, max, tempN, tempSum }
+//   rollup_1h  - per-hour aggregates, same shape
+//   pumpLog    - dose entries keyed by [t, type]
+// Rollups are updated in the same transaction as the raw write, and each
+// store is pruned to its own retention period.
+const HISTORY_DB_NAME = "ecosterile";
+const HISTORY_DB_VERSION = 1;
+const RECENT_WINDOW_MS = 24 * 60 * 60 * 1000; // raw readings kept in memory for the live view
+const PUMP_LOG_WINDOW_MS = 30 * 24 * 60 * 60 * 1000; // pump log kept in memory
+const ROLLUP_LEVELS = { "1m": 60 * 1000, "1h": 60 * 60 * 1000 };
+const RETENTION_KEY = "ecosterile_retention";
+const DEFAULT_RETENTION_DAYS = { raw: 7, "1m": 90, "1h": 730, pumpLog: 730 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function loadRetention() {
+  try {
+    return {
+      ...DEFAULT_RETENTION_DAYS,
+      ...JSON.parse(localStorage.getItem(RETENTION_KEY)),
+    };
+  } catch (e) {
+    return { ...DEFAULT_RETENTION_DAYS };
+  }
+}
+
+function saveRetention(retention) {
+  localStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+}
+
+// Fold one reading into a rollup bucket (creating it when missing)
+function addToRollup(bucket, t, reading) {
+  const b = bucket || {
+    t: t,
+    n: 0,
+    sum: 0,
+    min: Infinity,
+    max: -Infinity,
+    tempN: 0,
+    tempSum: 0,
+    suspectN: 0,
+    rawN: 0,
+    rawSum: 0,
+  };
+  b.n++;
+  b.sum += reading.ph;
+  b.min = Math.min(b.min, reading.ph);
+  b.max = Math.max(b.max, reading.ph);
+  if (reading.temp !== null && reading.temp !== undefined) {
+    b.tempN++;
+    b.tempSum += reading.temp;
+  }
+  if (reading.suspect) b.suspectN = (b.suspectN || 0) + 1;
+  if (reading.raw !== null && reading.raw !== undefined) {
+    b.rawN = (b.rawN || 0) + 1;
+    b.rawSum = (b.rawSum || 0) + reading.raw;
+  }
+  return b;
+}
+
+// One store per tank (see the Tanks section); historyStore is the open tank's
+function createHistoryStore(name) {
+  return {
+    name: name,
+    db: null,
+
+    async open() {
+      if (!("indexedDB" in window)) return false;
+      const request = indexedDB.open(this.name, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("readings", { keyPath: "t" });
+        Object.keys(ROLLUP_LEVELS).forEach((level) =>
+          db.createObjectStore("rollup_" + level, { keyPath: "t" })
+        );
+        db.createObjectStore("pumpLog", { keyPath: ["t", "type"] });
+      };
+      this.db = await idbRequest(request);
+      return true;
+    },
+
+    // Append readings ({ t, ph, temp, suspect, raw }) and update rollups; timestamps already
+    // stored are skipped so imports can't double count. Returns how many were added.
+    async addReadings(readings) {
+      if (!this.db || readings.length === 0) return 0;
+      const storeNames = ["readings"].concat(
+        Object.keys(ROLLUP_LEVELS).map((level) => "rollup_" + level)
+      );
+      const tx = this.db.transaction(storeNames, "readwrite");
+      const done = idbTransactionDone(tx);
+      const raw = tx.objectStore("readings");
+
+      const existing = await Promise.all(
+        readings.map((r) => idbRequest(raw.getKey(r.t)))
+      );
+      const fresh = readings.filter((r, i) => existing[i] === undefined);
+      fresh.forEach((r) => raw.put(r));
+
+      for (const [level, size] of Object.entries(ROLLUP_LEVELS)) {
+        const store = tx.objectStore("rollup_" + level);
+        const buckets = new Map();
+        fresh.forEach((r) => {
+          const t = Math.floor(r.t / size) * size;
+          if (!buckets.has(t)) buckets.set(t, []);
+          buckets.get(t).push(r);
+        });
+        await Promise.all(
+          [...buckets].map(async ([t, items]) => {
+            let bucket = await idbRequest(store.get(t));
+            items.forEach((r) => (bucket = addToRollup(bucket, t, r)));
+            store.put(bucket);
+          })
+        );
       }
-    }
 
-    // Immediately apply the current reading once
-    applyCurrentReading();
+      await done;
+      return fresh.length;
+    },
 
-    // Schedule updates exactly on interval boundaries to stay synced with wall-clock
-    const now = Date.now();
-    const sinceEpoch = now - epoch;
-    const delayToNext = intervalMs - (sinceEpoch % intervalMs);
+    // Append pump log entries; returns how many were new
+    async addPumpEntries(entries) {
+      if (!this.db || entries.length === 0) return 0;
+      const tx = this.db.transaction("pumpLog", "readwrite");
+      const done = idbTransactionDone(tx);
+      const store = tx.objectStore("pumpLog");
+      const rows = entries.map((e) => ({
+        ...e,
+        timestamp: new Date(e.timestamp).toISOString(),
+        t: new Date(e.timestamp).getTime(),
+      }));
+      const existing = await Promise.all(
+        rows.map((r) => idbRequest(store.getKey([r.t, r.type])))
+      );
+      const fresh = rows.filter((r, i) => existing[i] === undefined);
+      fresh.forEach((r) => store.put(r));
+      await done;
+      return fresh.length;
+    },
 
-    // First timeout to align, then fixed interval
-    setTimeout(() => {
-      applyCurrentReading(); // Apply once at the exact boundary
-      simInterval = setInterval(() => {
-        applyCurrentReading();
-      }, intervalMs);
-    }, delayToNext);
+    async getAll(storeName, range) {
+      const tx = this.db.transaction(storeName, "readonly");
+      return idbRequest(tx.objectStore(storeName).getAll(range));
+    },
+
+    getReadings(from, to) {
+      return this.getAll("readings", IDBKeyRange.bound(from.getTime(), to.getTime()));
+    },
+
+    getRollups(level, from, to) {
+      return this.getAll(
+        "rollup_" + level,
+        IDBKeyRange.bound(from.getTime(), to.getTime())
+      );
+    },
+
+    // Newest record of a store, or undefined when it is empty
+    async getLast(storeName) {
+      const tx = this.db.transaction(storeName, "readonly");
+      const cursor = await idbRequest(tx.objectStore(storeName).openCursor(null, "prev"));
+      return cursor ? cursor.value : undefined;
+    },
+
+    getPumpEntries(from, to) {
+      return this.getAll(
+        "pumpLog",
+        IDBKeyRange.bound([from.getTime()], [to.getTime(), "\uffff"])
+      );
+    },
+
+    // Drop everything older than each store's retention period
+    async prune(retention) {
+      if (!this.db) return;
+      const now = Date.now();
+      const cutoffs = {
+        readings: now - retention.raw * DAY_MS,
+        rollup_1m: now - retention["1m"] * DAY_MS,
+        rollup_1h: now - retention["1h"] * DAY_MS,
+      };
+      const tx = this.db.transaction(
+        Object.keys(cutoffs).concat("pumpLog"),
+        "readwrite"
+      );
+      Object.entries(cutoffs).forEach(([name, cutoff]) =>
+        tx.objectStore(name).delete(IDBKeyRange.upperBound(cutoff, true))
+      );
+      tx.objectStore("pumpLog").delete(
+        IDBKeyRange.upperBound([now - retention.pumpLog * DAY_MS], true)
+      );
+      await idbTransactionDone(tx);
+    },
+
+    async clear() {
+      if (!this.db) return;
+      const names = [...this.db.objectStoreNames];
+      const tx = this.db.transaction(names, "readwrite");
+      names.forEach((name) => tx.objectStore(name).clear());
+      await idbTransactionDone(tx);
+    },
+  };
+}
+
+let historyStore = createHistoryStore(HISTORY_DB_NAME);
+
+// Move readings and pump log from the old localStorage snapshot into IndexedDB
+async function migrateLegacyData() {
+  if (!legacyData) return;
+  const readings = legacyData.timestamps
+    .map((ts, i) => ({
+      t: new Date(ts).getTime(),
+      ph: legacyData.values[i],
+      temp: (legacyData.temps && legacyData.temps[i]) ?? null,
+    }))
+    .filter((r) => !isNaN(r.t) && typeof r.ph === "number");
+  const added = await historyStore.addReadings(readings);
+  await historyStore.addPumpEntries(legacyData.pumpLog || []);
+  legacyData = null;
+  saveData(); // rewrite the key without the readings
+  console.log(`Migrated ${added} readings from localStorage to IndexedDB`);
+}
+
+// Fill the in-memory window (recent readings + 30-day pump log) from IndexedDB
+async function loadRecentHistory(store = historyStore, data = phData) {
+  const now = new Date();
+  const readings = await store.getReadings(
+    new Date(now - RECENT_WINDOW_MS),
+    now
+  );
+  data.timestamps = readings.map((r) => new Date(r.t).toISOString());
+  data.values = readings.map((r) => r.ph);
+  data.temps = readings.map((r) => r.temp ?? null);
+  data.suspect = readings.map((r) => !!r.suspect);
+  data.raw = readings.map((r) => r.raw ?? null);
+
+  const pumps = await store.getPumpEntries(
+    new Date(now - PUMP_LOG_WINDOW_MS),
+    now
+  );
+  data.pumpLog = pumps.map(({ t, ...entry }) => entry);
+}
+
+// Open the store, migrate old data and load the live window. Falls back to
+// the localStorage snapshot when IndexedDB is unavailable.
+async function initHistoryStore() {
+  try {
+    await historyStore.open();
   } catch (err) {
-    console.error("Static playback failed:", err);
-    // Fallback: if static playback fails, start normal local simulation
-    if (!simInterval) startSimulation();
+    console.error("IndexedDB unavailable, history will use localStorage:", err);
+    historyStore.db = null;
+  }
+
+  if (!historyStore.db) {
+    loadLegacySnapshot();
+    return;
+  }
+
+  try {
+    await migrateLegacyData();
+    await historyStore.prune(loadRetention());
+    await loadRecentHistory();
+  } catch (err) {
+    console.error("Failed to load history:", err);
   }
+
+  // Keep the stores of every tank inside their retention periods
+  setInterval(() => {
+    const retention = loadRetention();
+    tanks.forEach((tank) =>
+      tank.store.prune(retention).catch((err) =>
+        console.error(`History prune failed (${tank.name}):`, err)
+      )
+    );
+  }, 60 * 60 * 1000);
 }
 
-// Save data to localStorage
-function saveData() {
-  localStorage.setItem("ecosterile_data", JSON.stringify(phData));
+// Without IndexedDB the full snapshot in localStorage is the history
+function loadLegacySnapshot() {
+  if (!legacyData) return;
+  phData.timestamps = legacyData.timestamps;
+  phData.values = legacyData.values;
+  phData.temps = legacyData.temps || legacyData.values.map(() => null);
+  phData.suspect = legacyData.suspect || legacyData.values.map(() => false);
+  phData.raw = legacyData.raw || legacyData.values.map(() => null);
+  phData.pumpLog = legacyData.pumpLog || [];
+  legacyData = null;
+}
+
+// Wire the retention selects in the data card
+function initRetentionSettings() {
+  const retention = loadRetention();
+  const selects = {
+    raw: document.getElementById("retentionRaw"),
+    "1m": document.getElementById("retention1m"),
+    "1h": document.getElementById("retention1h"),
+  };
+
+  Object.entries(selects).forEach(([key, select]) => {
+    if (!select) return;
+    select.value = String(retention[key]);
+    select.disabled = !historyStore.db;
+    select.addEventListener("change", function () {
+      const updated = loadRetention();
+      updated[key] = parseInt(this.value, 10);
+      // pump log lives as long as the longest-kept data
+      updated.pumpLog = Math.max(updated.raw, updated["1m"], updated["1h"]);
+      saveRetention(updated);
+      tanks.forEach((tank) =>
+        tank.store
+          .prune(updated)
+          .catch((err) => console.error(`History prune failed (${tank.name}):`, err))
+      );
+    });
+  });
+}
+
+// Drop readings that fell out of the in-memory window (oldest are first)
+function trimRecentReadings() {
+  const cutoff = Date.now() - RECENT_WINDOW_MS;
+  let drop = 0;
+  while (
+    drop < phData.timestamps.length &&
+    new Date(phData.timestamps[drop]).getTime() < cutoff
+  ) {
+    drop++;
+  }
+  if (drop > 0) {
+    phData.timestamps.splice(0, drop);
+    phData.values.splice(0, drop);
+    phData.temps.splice(0, drop);
+    phData.suspect.splice(0, drop);
+    phData.raw.splice(0, drop);
+  }
 }
 
 // Update pH display
@@ -130,30 +495,69 @@ function updatePHDisplay(pH) {
   phIndicator.style.left = percentage + "%";
 }
 
-// Log pump activity
-function logPumpActivity(type, concentration = "1%") {
-  const timestamp = new Date();
-  const logEntry = {
-    timestamp: timestamp,
+// Update solution temperature shown under the pH value
+function updateTempDisplay(temp) {
+  const phTemp = document.getElementById("phTemp");
+  if (!phTemp) return;
+  phTemp.textContent =
+    temp === null ? "" : `🌡️ ${temp.toFixed(1)} °C (temperature compensated)`;
+}
+
+// Log one pump dose of a tank. Called once per completed burst, on the
+// device's "stop" event (from the board, the demo simulator or a replay).
+//   details.durationMs - how long the pump actually ran
+//   details.source     - "device" or "demo"
+//   details.startedAt  - when the pump started (defaults to now)
+function logPumpActivity(type, details = {}, tank = activeTank) {
+  const logEntry = createPumpLogEntry(type, details, tank);
+  const open = tank === activeTank;
+
+  if (open) {
+    phData.pumpLog.push(logEntry);
+    phData.lastPump = logEntry;
+
+    // Keep only last 30 days of logs in memory (full log is in IndexedDB)
+    const thirtyDaysAgo = Date.now() - PUMP_LOG_WINDOW_MS;
+    while (
+      phData.pumpLog.length &&
+      new Date(phData.pumpLog[0].timestamp).getTime() <= thirtyDaysAgo
+    ) {
+      phData.pumpLog.shift();
+    }
+  } else {
+    tank.lastDose = logEntry;
+    noteDoseForAlarms(tank, new Date(logEntry.timestamp));
+  }
+
+  // replayed doses are shown, not stored
+  if (tank.link.state !== "replay") {
+    tank.store
+      .addPumpEntries([logEntry])
+      .catch((err) => console.error(`Failed to store pump entry of ${tank.name}:`, err));
+    if (open) saveData();
+  }
+  if (open) {
+    updatePumpInfo();
+    updateLog();
+    updateStats();
+  }
+}
+
+// Pump log entry for one dose (same details as logPumpActivity()). Real
+// doses draw down the tank's reservoir estimate; demo doses don't.
+function createPumpLogEntry(type, details = {}, tank = activeTank) {
+  const entry = {
+    timestamp: details.startedAt || new Date(),
     type: type, // 'basic' or 'acidic'
-    concentration: concentration,
+    concentration: details.concentration || "1%",
     solution:
       type === "basic" ? "Ammonium Hydroxide (NH4OH)" : "Acetic Acid (CH3COOH)",
+    durationMs: details.durationMs ?? null,
+    volumeMl: doseVolumeMl(type, details.durationMs, tank),
+    source: details.source || "device",
   };
-
-  phData.pumpLog.push(logEntry);
-  phData.lastPump = logEntry;
-
-  // Keep only last 30 days of logs
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  phData.pumpLog = phData.pumpLog.filter(
-    (log) => new Date(log.timestamp) > thirtyDaysAgo
-  );
-
-  saveData();
-  updatePumpInfo();
-  updateLog();
-  updateStats();
+  if (entry.source !== "demo") consumeReservoir(type, entry.volumeMl, tank);
+  return entry;
 }
 
 // Update pump info display
@@ -164,8 +568,19 @@ function updatePumpInfo() {
   const lastPumpConcentration = document.getElementById(
     "lastPumpConcentration"
   );
+  const activePump = activeTank.device.activePump;
 
-  if (phData.lastPump) {
+  if (activePump) {
+    lastPumpName.textContent =
+      (activePump.type === "basic" ? "💧 Basic Pump" : "⚗️ Acidic Pump") +
+      (activePump.source === "prime"
+        ? " (priming)"
+        : activePump.source === "manual"
+        ? " (manual)"
+        : " (running)");
+    lastPumpName.style.color =
+      activePump.type === "basic" ? "#3498db" : "#e74c3c";
+  } else if (phData.lastPump) {
     const pump = phData.lastPump;
     lastPumpName.textContent =
       pump.type === "basic" ? "💧 Basic Pump" : "⚗️ Acidic Pump";
@@ -176,6 +591,180 @@ function updatePumpInfo() {
     lastPumpSolution.textContent = pump.solution;
     lastPumpConcentration.textContent = pump.concentration;
   }
+
+  updateDoseInfo();
+}
+
+// ==========================================
+// Dose Volume & Reservoir Tracking
+// ==========================================
+// Flow rates turn each burst into a volume; reservoirs count down per real dose.
+// Every tank has its own pumps and reservoirs (tank.pumps).
+const PUMP_SETTINGS_KEY = "ecosterile_pump_settings";
+const DEFAULT_PUMP_SETTINGS = {
+  basic: { flowRateMlPerSec: 1.0, capacityMl: 1000, levelMl: 1000 },
+  acidic: { flowRateMlPerSec: 1.0, capacityMl: 1000, levelMl: 1000 },
+  lowLevelPercent: 20, // warn when a reservoir drops below this share
+};
+
+// tank only needs its id, see createTank()
+function loadPumpSettings(tank) {
+  const defaults = JSON.parse(JSON.stringify(DEFAULT_PUMP_SETTINGS));
+  try {
+    const stored = JSON.parse(localStorage.getItem(tankStorageKey(PUMP_SETTINGS_KEY, tank)));
+    if (!stored) return defaults;
+    return {
+      basic: { ...defaults.basic, ...stored.basic },
+      acidic: { ...defaults.acidic, ...stored.acidic },
+      lowLevelPercent: stored.lowLevelPercent ?? defaults.lowLevelPercent,
+    };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function savePumpSettings(tank = activeTank) {
+  localStorage.setItem(tankStorageKey(PUMP_SETTINGS_KEY, tank), JSON.stringify(tank.pumps));
+}
+
+// Volume delivered by one burst, or null when the duration is unknown
+function doseVolumeMl(type, durationMs, tank = activeTank) {
+  const pump = tank.pumps[type];
+  if (!pump || !durationMs) return null;
+  return Math.round((durationMs / 1000) * pump.flowRateMlPerSec * 100) / 100;
+}
+
+function consumeReservoir(type, volumeMl, tank = activeTank) {
+  const pump = tank.pumps[type];
+  if (!pump || !volumeMl) return;
+  pump.levelMl = Math.max(0, pump.levelMl - volumeMl);
+  savePumpSettings(tank);
+}
+
+function refillReservoir(type) {
+  const pump = activeTank.pumps[type];
+  if (!pump) return;
+  pump.levelMl = pump.capacityMl;
+  savePumpSettings();
+  updateDoseInfo();
+}
+
+// Dosed volume per pump since a given time
+function getDoseTotals(since) {
+  const totals = { basic: 0, acidic: 0 };
+  phData.pumpLog.forEach((log) => {
+    if (new Date(log.timestamp) < since) return;
+    const volume = log.volumeMl ?? doseVolumeMl(log.type, log.durationMs);
+    if (volume && totals[log.type] !== undefined) totals[log.type] += volume;
+  });
+  return totals;
+}
+
+// Update the open tank's dose totals, reservoir levels and low-reservoir warning
+function updateDoseInfo() {
+  const pumpSettings = activeTank.pumps;
+  const doseToday = document.getElementById("doseToday");
+  const doseWeek = document.getElementById("doseWeek");
+  const reservoirLevels = document.getElementById("reservoirLevels");
+  const reservoirWarning = document.getElementById("reservoirWarning");
+  if (!doseToday || !reservoirLevels) return;
+
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const formatTotals = (t) =>
+    `💧 ${t.basic.toFixed(1)} mL · ⚗️ ${t.acidic.toFixed(1)} mL`;
+
+  doseToday.textContent = formatTotals(getDoseTotals(startOfDay));
+  doseWeek.textContent = formatTotals(getDoseTotals(weekAgo));
+
+  const low = [];
+  reservoirLevels.innerHTML = ["basic", "acidic"]
+    .map((type) => {
+      const pump = pumpSettings[type];
+      const percent =
+        pump.capacityMl > 0 ? (pump.levelMl / pump.capacityMl) * 100 : 0;
+      const isLow = percent < pumpSettings.lowLevelPercent;
+      if (isLow) low.push(type === "basic" ? "Ammonium Hydroxide" : "Acetic Acid");
+      return `
+        <div class="reservoir ${type}">
+            <div class="reservoir-header">
+                <span class="label">${type === "basic" ? "💧 NH4OH" : "⚗️ CH3COOH"}</span>
+                <span class="value">${Math.round(pump.levelMl)} / ${pump.capacityMl} mL</span>
+                <button type="button" class="btn-refill" data-type="${type}">Refill</button>
+            </div>
+            <div class="reservoir-bar-container">
+                <div class="reservoir-bar${isLow ? " low" : ""}" style="width: ${Math.min(
+        100,
+        percent
+      ).toFixed(0)}%;"></div>
+            </div>
+        </div>
+    `;
+    })
+    .join("");
+
+  reservoirLevels.querySelectorAll(".btn-refill").forEach((btn) => {
+    btn.addEventListener("click", function () {
+      const type = this.dataset.type;
+      if (confirm(`Mark the ${type} reservoir as refilled to capacity?`)) {
+        refillReservoir(type);
+      }
+    });
+  });
+
+  if (low.length > 0) {
+    reservoirWarning.textContent = "⚠️ Low reservoir: " + low.join(", ");
+    reservoirWarning.style.display = "block";
+  } else {
+    reservoirWarning.style.display = "none";
+  }
+}
+
+// Show the open tank's pump settings in the form
+function renderPumpSettingsForm() {
+  const form = document.getElementById("pumpSettingsForm");
+  if (!form) return;
+  const pumpSettings = activeTank.pumps;
+  form.basicFlowRate.value = pumpSettings.basic.flowRateMlPerSec;
+  form.basicCapacity.value = pumpSettings.basic.capacityMl;
+  form.acidicFlowRate.value = pumpSettings.acidic.flowRateMlPerSec;
+  form.acidicCapacity.value = pumpSettings.acidic.capacityMl;
+  form.lowLevelPercent.value = pumpSettings.lowLevelPercent;
+}
+
+// Wire the pump settings form (flow rates, capacities, warning level)
+function initPumpSettingsForm() {
+  const form = document.getElementById("pumpSettingsForm");
+  if (!form) return;
+  renderPumpSettingsForm();
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    const values = {
+      basicFlowRate: parseFloat(form.basicFlowRate.value),
+      basicCapacity: parseFloat(form.basicCapacity.value),
+      acidicFlowRate: parseFloat(form.acidicFlowRate.value),
+      acidicCapacity: parseFloat(form.acidicCapacity.value),
+      lowLevelPercent: parseFloat(form.lowLevelPercent.value),
+    };
+    if (Object.values(values).some((v) => isNaN(v) || v < 0)) {
+      alert("Please enter non-negative numbers for all pump settings.");
+      return;
+    }
+
+    const pumpSettings = activeTank.pumps;
+    pumpSettings.basic.flowRateMlPerSec = values.basicFlowRate;
+    pumpSettings.basic.capacityMl = values.basicCapacity;
+    pumpSettings.basic.levelMl = Math.min(pumpSettings.basic.levelMl, values.basicCapacity);
+    pumpSettings.acidic.flowRateMlPerSec = values.acidicFlowRate;
+    pumpSettings.acidic.capacityMl = values.acidicCapacity;
+    pumpSettings.acidic.levelMl = Math.min(pumpSettings.acidic.levelMl, values.acidicCapacity);
+    pumpSettings.lowLevelPercent = values.lowLevelPercent;
+    savePumpSettings();
+    updateDoseInfo();
+    alert("Pump settings saved");
+  });
 }
 
 // Calculate time difference
@@ -212,7 +801,9 @@ function updateLog() {
   logContainer.innerHTML = recentLogs
     .map(
       (log) => `
-        <div class="log-entry ${log.type}">
+        <div class="log-entry ${log.type}${
+          log.source === "manual" || log.source === "prime" ? " manual" : ""
+        }">
             <div>
                 <div class="log-pump ${log.type}">${
         log.type === "basic" ? "💧 Basic" : "⚗️ Acidic"
@@ -227,7 +818,11 @@ function updateLog() {
                 }</div>
                 <div style="font-size: 0.85em; color: #95a5a6;">${
                   log.concentration
-                }</div>
+                }${
+        log.durationMs ? " · " + (log.durationMs / 1000).toFixed(1) + " s" : ""
+      }${log.volumeMl ? " · " + log.volumeMl.toFixed(1) + " mL" : ""}${
+        log.source && log.source !== "device" ? " · " + log.source : ""
+      }</div>
             </div>
         </div>
     `
@@ -271,12 +866,19 @@ function updateStats() {
 // Initialize Chart.js
 let phChart = null;
 
+// Chart range: "24h" | "7d" | "month" | { from: Date, to: Date }
+let chartRange = "24h";
+let chartRenderToken = 0; // ignores async renders that a newer one replaced
+let lastChartRefresh = 0;
+const MAX_CHART_POINTS = 500; // longer series are bucketed into min/mean/max
+const CHART_LIVE_REFRESH_MS = 60 * 1000; // refresh rate for rollup-backed ranges
+const CHART_RECENT_REFRESH_MS = 5 * 1000; // refresh rate for the in-memory 24h range
+
 function initializeChart() {
   const ctx = document.getElementById("phChart").getContext("2d");
   phChart = new Chart(ctx, {
     type: "line",
     data: {
-      labels: [],
       datasets: [
         {
           label: "pH Level",
@@ -284,24 +886,163 @@ function initializeChart() {
           borderColor: "#27ae60",
           backgroundColor: "rgba(39, 174, 96, 0.1)",
           tension: 0.4,
-          fill: true,
+          fill: false,
           pointRadius: 4,
           pointBackgroundColor: "#27ae60",
           pointBorderColor: "#fff",
           pointBorderWidth: 2,
           pointHoverRadius: 6,
         },
+        {
+          label: "Temperature (°C)",
+          data: [],
+          yAxisID: "yTemp",
+          borderColor: "#e67e22",
+          backgroundColor: "rgba(230, 126, 34, 0.1)",
+          tension: 0.4,
+          fill: false,
+          pointRadius: 2,
+          borderDash: [6, 4],
+          spanGaps: true,
+        },
+        {
+          // upper edge of the min/max band, filled down to the next dataset
+          label: "pH Min - Max",
+          data: [],
+          borderColor: "rgba(39, 174, 96, 0.3)",
+          backgroundColor: "rgba(39, 174, 96, 0.15)",
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: "+1",
+          tension: 0.2,
+        },
+        {
+          label: "pH Min",
+          data: [],
+          borderColor: "rgba(39, 174, 96, 0.3)",
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.2,
+        },
+        {
+          // crop range band; steps where the crop was changed
+          label: "Optimal Range",
+          data: [],
+          borderColor: "rgba(52, 152, 219, 0.4)",
+          backgroundColor: "rgba(52, 152, 219, 0.08)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: "+1",
+          stepped: "after",
+        },
+        {
+          label: "Optimal Min",
+          data: [],
+          borderColor: "rgba(52, 152, 219, 0.4)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+          pointRadius: 0,
+          fill: false,
+          stepped: "after",
+        },
+        {
+          type: "scatter",
+          label: "Basic Dose",
+          data: [],
+          pointStyle: "triangle",
+          pointRadius: 7,
+          pointHoverRadius: 9,
+          backgroundColor: "#3498db",
+          borderColor: "#fff",
+        },
+        {
+          type: "scatter",
+          label: "Acidic Dose",
+          data: [],
+          pointStyle: "triangle",
+          rotation: 180,
+          pointRadius: 7,
+          pointHoverRadius: 9,
+          backgroundColor: "#e74c3c",
+          borderColor: "#fff",
+        },
+        {
+          // unfiltered pH, to compare against the device's filter
+          label: "Raw pH",
+          data: [],
+          borderColor: "rgba(127, 140, 141, 0.7)",
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+          tension: 0,
+          spanGaps: true,
+        },
+        {
+          type: "scatter",
+          label: "Suspect Reading",
+          data: [],
+          pointStyle: "crossRot",
+          pointRadius: 6,
+          pointHoverRadius: 8,
+          borderColor: "#f39c12",
+          borderWidth: 2,
+        },
       ],
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      parsing: false,
+      interaction: {
+        mode: "nearest",
+        axis: "x",
+        intersect: false,
+      },
       plugins: {
         legend: {
           display: true,
           labels: {
             font: { size: 12 },
             usePointStyle: true,
+            // each band is one legend entry
+            filter: (item) =>
+              item.text !== "pH Min" && item.text !== "Optimal Min",
+          },
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const raw = context.raw;
+              if (raw && raw.dose) return describeDose(raw.dose);
+              if (raw && raw.suspectN) {
+                return raw.suspectN > 1
+                  ? `⚠️ ${raw.suspectN} suspect readings`
+                  : `⚠️ Suspect reading: pH ${raw.y.toFixed(2)}`;
+              }
+              if (raw && raw.crop !== undefined) {
+                return `Optimal ${raw.min} - ${raw.max}${raw.crop ? " (" + raw.crop + ")" : ""}`;
+              }
+              const value = context.parsed.y;
+              return value === null
+                ? undefined
+                : `${context.dataset.label}: ${value.toFixed(2)}`;
+            },
+          },
+        },
+        zoom: {
+          pan: {
+            enabled: true,
+            mode: "x",
+            onPanComplete: () => updateChart(),
+          },
+          zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            drag: { enabled: true, modifierKey: "shift" },
+            mode: "x",
+            onZoomComplete: () => updateChart(),
           },
         },
       },
@@ -317,7 +1058,22 @@ function initializeChart() {
             stepSize: 1,
           },
         },
+        yTemp: {
+          position: "right",
+          display: false, // shown once temperature readings exist
+          title: {
+            display: true,
+            text: "Temperature (°C)",
+          },
+          grid: {
+            drawOnChartArea: false,
+          },
+        },
         x: {
+          type: "time",
+          time: {
+            tooltipFormat: "PPpp",
+          },
           title: {
             display: true,
             text: "Time",
@@ -328,318 +1084,4296 @@ function initializeChart() {
   });
 }
 
-// Update chart data
-function updateChart(timeRange = "24h") {
-  if (!phChart) return;
+// Resolve a chart range to { from, to }
+function getChartWindow(range) {
+  if (typeof range === "object") return range;
+  const to = new Date();
+  switch (range) {
+    case "7d":
+      return { from: new Date(to - 7 * DAY_MS), to };
+    case "month":
+      return { from: new Date(to - 30 * DAY_MS), to };
+    default:
+      return { from: new Date(to - DAY_MS), to };
+  }
+}
+
+// Readings ({ ph, temp, suspect, raw }) as single-sample buckets so raw and
+// rollup data share one shape
+function readingBucket(t, reading) {
+  return addToRollup(null, t, reading);
+}
+
+// Merge buckets into at most MAX_CHART_POINTS time slots
+function downsampleBuckets(buckets, from, to) {
+  if (buckets.length <= MAX_CHART_POINTS) return buckets;
+  const size = Math.ceil((to - from) / MAX_CHART_POINTS);
+  const slots = new Map();
+  buckets.forEach((b) => {
+    const t = Math.floor(b.t / size) * size;
+    const slot = slots.get(t);
+    if (!slot) {
+      slots.set(t, { ...b, t });
+      return;
+    }
+    slot.n += b.n;
+    slot.sum += b.sum;
+    slot.min = Math.min(slot.min, b.min);
+    slot.max = Math.max(slot.max, b.max);
+    slot.tempN += b.tempN;
+    slot.tempSum += b.tempSum;
+    slot.suspectN = (slot.suspectN || 0) + (b.suspectN || 0);
+    slot.rawN = (slot.rawN || 0) + (b.rawN || 0);
+    slot.rawSum = (slot.rawSum || 0) + (b.rawSum || 0);
+  });
+  return [...slots.values()].sort((a, b) => a.t - b.t);
+}
+
+// Load the series for a window, choosing the finest data that is available:
+// the in-memory window, raw readings, 1-minute or 1-hour rollups. inMemory
+// is set for the 24h preset, whose window was computed a moment earlier and
+// may start a few ms before the memory cutoff.
+async function loadChartSeries(from, to, inMemory = false) {
+  const span = to - from;
+  let buckets;
+
+  if (inMemory || !historyStore.db || from.getTime() >= Date.now() - RECENT_WINDOW_MS) {
+    buckets = [];
+    phData.timestamps.forEach((ts, i) => {
+      const t = new Date(ts).getTime();
+      if (t >= from.getTime() && t <= to.getTime()) {
+        buckets.push(
+          readingBucket(t, {
+            ph: phData.values[i],
+            temp: phData.temps[i] ?? null,
+            suspect: phData.suspect[i],
+            raw: phData.raw[i] ?? null,
+          })
+        );
+      }
+    });
+  } else if (span <= 6 * 60 * 60 * 1000) {
+    const readings = await historyStore.getReadings(from, to);
+    buckets = readings.map((r) => readingBucket(r.t, r));
+    // raw readings may have been pruned: fall back to minute averages
+    if (buckets.length === 0) buckets = await historyStore.getRollups("1m", from, to);
+  } else {
+    const level = span <= 2 * DAY_MS ? "1m" : "1h";
+    buckets = await historyStore.getRollups(level, from, to);
+  }
+
+  return downsampleBuckets(buckets, from, to);
+}
+
+// Update chart data. Pass a range to switch to it; without one the current
+// range (or the zoomed/panned window) is refreshed.
+function updateChart(timeRange) {
+  if (!phChart) return;
+
+  if (timeRange !== undefined) {
+    chartRange = timeRange;
+    if (phChart.resetZoom) phChart.resetZoom("none");
+  }
+
+  const zoomed = phChart.isZoomedOrPanned && phChart.isZoomedOrPanned();
+  let { from, to } = getChartWindow(chartRange);
+  if (zoomed) {
+    from = new Date(phChart.scales.x.min);
+    to = new Date(phChart.scales.x.max);
+  } else {
+    phChart.options.scales.x.min = from.getTime();
+    phChart.options.scales.x.max = to.getTime();
+  }
+
+  const token = ++chartRenderToken;
+  lastChartRefresh = Date.now();
+  const inMemory = !zoomed && chartRange === "24h";
+  Promise.all([loadChartSeries(from, to, inMemory), loadChartDoses(from, to)])
+    .then(([buckets, doses]) => {
+      if (token === chartRenderToken) renderChartSeries(buckets, doses, from, to);
+    })
+    .catch((err) => console.error("Failed to load chart history:", err));
+}
+
+// Pump log entries inside the window (memory covers the last 30 days)
+async function loadChartDoses(from, to) {
+  if (historyStore.db && from.getTime() < Date.now() - PUMP_LOG_WINDOW_MS) {
+    return historyStore.getPumpEntries(from, to);
+  }
+  return phData.pumpLog.filter((log) => {
+    const t = new Date(log.timestamp);
+    return t >= from && t <= to;
+  });
+}
+
+// Tooltip text for a dose marker
+function describeDose(dose) {
+  const parts = [dose.type === "basic" ? "💧 Basic dose" : "⚗️ Acidic dose"];
+  if (dose.durationMs) parts.push((dose.durationMs / 1000).toFixed(1) + " s");
+  if (dose.volumeMl) parts.push(dose.volumeMl.toFixed(1) + " mL");
+  if (dose.source && dose.source !== "device") parts.push(dose.source);
+  return parts.join(" · ");
+}
+
+// ==========================================
+// Crop Range History
+// ==========================================
+// Every applied crop range with the time it took effect, so the chart can
+// shade the range that was active at each point in time. Kept per tank.
+const RANGE_HISTORY_KEY = "ecosterile_range_history";
+const RANGE_HISTORY_LIMIT = 500;
+
+function loadRangeHistory(tank = activeTank) {
+  try {
+    return JSON.parse(localStorage.getItem(tankStorageKey(RANGE_HISTORY_KEY, tank))) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Record a range taking effect now (no-op when it is already the active one)
+function recordRangeChange(min, max, crop, tank = activeTank) {
+  const history = loadRangeHistory(tank);
+  const last = history[history.length - 1];
+  if (last && last.min === min && last.max === max && last.crop === crop) return;
+  history.push({ t: Date.now(), min: min, max: max, crop: crop });
+  localStorage.setItem(
+    tankStorageKey(RANGE_HISTORY_KEY, tank),
+    JSON.stringify(history.slice(-RANGE_HISTORY_LIMIT))
+  );
+}
+
+// Stepped band points for [from, to]: the range active at from, each change
+// inside the window, and a closing point at to
+function rangeBandPoints(from, to) {
+  const history = loadRangeHistory();
+  const start = from.getTime();
+  const end = to.getTime();
+
+  let active = { min: optimalPHMin, max: optimalPHMax, crop: "" };
+  const changes = [];
+  history.forEach((entry) => {
+    if (entry.t <= start) active = entry;
+    else if (entry.t <= end) changes.push(entry);
+  });
+  // before the first recorded change assume the oldest known range
+  if (history.length && history[0].t > start) active = history[0];
+
+  const steps = [{ ...active, t: start }].concat(changes);
+  steps.push({ ...steps[steps.length - 1], t: end });
+  return steps;
+}
+
+// Refresh after a new reading: presets only, the in-memory 24h range every
+// few seconds, rollup-backed ones once a minute
+function refreshLiveChart() {
+  if (typeof chartRange !== "string") return;
+  const interval = chartRange === "24h" ? CHART_RECENT_REFRESH_MS : CHART_LIVE_REFRESH_MS;
+  if (Date.now() - lastChartRefresh < interval) return;
+  updateChart();
+}
+
+// pH at (or just before) time t, for placing dose markers on the line
+function phAtTime(buckets, t) {
+  let value = null;
+  for (const b of buckets) {
+    if (b.t > t) break;
+    value = b.sum / b.n;
+  }
+  if (value === null && buckets.length) value = buckets[0].sum / buckets[0].n;
+  return value ?? (optimalPHMin + optimalPHMax) / 2;
+}
+
+// Draw buckets on the chart: mean line, min/max band when aggregated,
+// temperature, raw (unfiltered) pH, the crop range band, dose markers and
+// suspect readings
+function renderChartSeries(buckets, doses, from, to) {
+  const aggregated = buckets.some((b) => b.n > 1);
+  const [
+    phSet,
+    tempSet,
+    maxSet,
+    minSet,
+    rangeMaxSet,
+    rangeMinSet,
+    basicSet,
+    acidicSet,
+    rawSet,
+    suspectSet,
+  ] = phChart.data.datasets;
+
+  phSet.data = buckets.map((b) => ({ x: b.t, y: b.sum / b.n }));
+  phSet.label = aggregated ? "pH Level (mean)" : "pH Level";
+  phSet.pointRadius = aggregated || buckets.length > 100 ? 0 : 4;
+
+  maxSet.data = aggregated ? buckets.map((b) => ({ x: b.t, y: b.max })) : [];
+  minSet.data = aggregated ? buckets.map((b) => ({ x: b.t, y: b.min })) : [];
+  maxSet.hidden = !aggregated;
+  minSet.hidden = !aggregated;
+
+  // Second axis only when the device reports temperature
+  const hasTemp = buckets.some((b) => b.tempN > 0);
+  tempSet.data = buckets.map((b) => ({
+    x: b.t,
+    y: b.tempN ? b.tempSum / b.tempN : null,
+  }));
+  tempSet.hidden = !hasTemp;
+  phChart.options.scales.yTemp.display = hasTemp;
+
+  // Raw line only when the device reports unfiltered values
+  rawSet.data = buckets.map((b) => ({
+    x: b.t,
+    y: b.rawN ? b.rawSum / b.rawN : null,
+  }));
+  rawSet.hidden = !buckets.some((b) => b.rawN > 0);
+
+  const steps = rangeBandPoints(from, to);
+  rangeMaxSet.data = steps.map((st) => ({ x: st.t, y: st.max, ...st }));
+  rangeMinSet.data = steps.map((st) => ({ x: st.t, y: st.min, ...st }));
+
+  const markers = (type) =>
+    doses
+      .filter((d) => d.type === type)
+      .map((d) => {
+        const t = new Date(d.timestamp).getTime();
+        return { x: t, y: phAtTime(buckets, t), dose: d };
+      })
+      .sort((a, b) => a.x - b.x);
+  basicSet.data = markers("basic");
+  acidicSet.data = markers("acidic");
+
+  suspectSet.data = buckets
+    .filter((b) => b.suspectN > 0)
+    .map((b) => ({ x: b.t, y: b.sum / b.n, suspectN: b.suspectN }));
+
+  phChart.update("none");
+}
+
+// Add a tank's pH reading (simulated or from serial); temp is the solution
+// temperature in °C when the device has a sensor (its pH is then already
+// compensated). sensor.voltage feeds the fault checks; sensor.suspect is the
+// device's own flag; sensor.raw is the unfiltered pH when the device reports it.
+function addPHReading(pH, temp = null, sensor = {}, tank = activeTank) {
+  const timestamp = new Date();
+  const open = tank === activeTank;
+  const suspect = checkSensorReading(pH, sensor.voltage ?? null, tank) || !!sensor.suspect;
+  if (open) {
+    phData.timestamps.push(timestamp.toISOString());
+    phData.values.push(pH);
+    phData.temps.push(temp);
+    phData.suspect.push(suspect);
+    phData.raw.push(sensor.raw ?? null);
+    trimRecentReadings();
+
+    updatePHDisplay(pH);
+    updateTempDisplay(temp);
+    updateStats();
+    updateLastUpdate();
+  }
+
+  // a replayed session only drives the display: no history, no alarms
+  if (tank.link.state === "replay") {
+    refreshLiveChart();
+    return;
+  }
+  noteReadingForAlarms(pH, tank);
+  tank.latest = { pH, temp, at: timestamp };
+  renderTankCard(tank);
+
+  // Append-only write; without IndexedDB fall back to the localStorage snapshot
+  if (tank.store.db) {
+    tank.store
+      .addReadings([
+        {
+          t: timestamp.getTime(),
+          ph: pH,
+          temp: temp,
+          ...(suspect ? { suspect: true } : {}),
+          ...(sensor.raw != null ? { raw: sensor.raw } : {}),
+        },
+      ])
+      .catch((err) => console.error(`Failed to store reading of ${tank.name}:`, err))
+      // rollup-backed ranges read the reading back from the store
+      .then(() => {
+        if (tank === activeTank) refreshLiveChart();
+      });
+  } else if (open) {
+    saveData();
+    refreshLiveChart();
+  }
+}
+
+// Update timestamp
+function updateLastUpdate() {
+  const lastUpdate = document.getElementById("lastUpdate");
+  const footerTime = document.getElementById("footerTime");
+  const now = new Date();
+  lastUpdate.textContent = now.toLocaleTimeString();
+  footerTime.textContent = now.toLocaleString();
+}
+
+// Event listeners for chart controls
+// Highlight the active range button
+function setActiveRangeButton(button) {
+  document
+    .querySelectorAll(".graph-controls .btn-time")
+    .forEach((btn) => btn.classList.remove("active"));
+  if (button) button.classList.add("active");
+}
+
+document.getElementById("btn24h").addEventListener("click", function () {
+  setActiveRangeButton(this);
+  document.getElementById("customRangeControls").style.display = "none";
+  updateChart("24h");
+});
+
+document.getElementById("btn7d").addEventListener("click", function () {
+  setActiveRangeButton(this);
+  document.getElementById("customRangeControls").style.display = "none";
+  updateChart("7d");
+});
+
+document.getElementById("btnMonth").addEventListener("click", function () {
+  setActiveRangeButton(this);
+  document.getElementById("customRangeControls").style.display = "none";
+  updateChart("month");
+});
+
+document.getElementById("btnCustomRange").addEventListener("click", function () {
+  const controls = document.getElementById("customRangeControls");
+  controls.style.display = controls.style.display === "none" ? "flex" : "none";
+});
+
+document.getElementById("btnApplyRange").addEventListener("click", function () {
+  const from = new Date(document.getElementById("chartFrom").value);
+  const to = new Date(document.getElementById("chartTo").value);
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    alert("Please choose a start time before the end time.");
+    return;
+  }
+  setActiveRangeButton(document.getElementById("btnCustomRange"));
+  updateChart({ from, to });
+});
+
+document.getElementById("btnResetZoom").addEventListener("click", function () {
+  if (phChart && phChart.resetZoom) phChart.resetZoom("none");
+  updateChart(chartRange);
+});
+
+document.getElementById("btnClear").addEventListener("click", async function () {
+  if (confirm("Are you sure you want to delete all historical data?")) {
+    phData.timestamps = [];
+    phData.values = [];
+    phData.temps = [];
+    phData.suspect = [];
+    phData.raw = [];
+    phData.pumpLog = [];
+    phData.lastPump = null;
+    try {
+      await historyStore.clear();
+    } catch (err) {
+      console.error("Failed to clear stored history:", err);
+    }
+    saveData();
+    updateChart();
+    updateLog();
+    updateStats();
+    updateDoseInfo();
+    alert("All data cleared!");
+  }
+});
+
+// ==========================================
+// Data Export / Import
+// ==========================================
+// Exports readings and the pump log as JSON or CSV for a time range, and
+// merges a previous export back in (deduplicated by timestamp). Where the raw
+// readings have been pruned (see loadRetention()) an export carries the
+// 1-minute and 1-hour rollups instead; those are not imported back.
+const EXPORT_FORMAT = "ecosterile-export";
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = [
+  "record",
+  "timestamp",
+  "ph",
+  "temp",
+  "raw",
+  "pump",
+  "durationMs",
+  "volumeMl",
+  "source",
+  "solution",
+  "concentration",
+  "suspect",
+  "level",
+  "n",
+  "min",
+  "max",
+];
+
+// A date input's "YYYY-MM-DD" as local time; new Date("YYYY-MM-DD") would
+// read it as UTC midnight
+function localDate(value, ...time) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day, ...time);
+}
+
+// Resolve the selected export range to { from, to } dates (from may be null = all)
+function getExportRange() {
+  const range = document.getElementById("exportRange").value;
+  const to = new Date();
+  switch (range) {
+    case "24h":
+      return { from: new Date(to - 24 * 60 * 60 * 1000), to };
+    case "7d":
+      return { from: new Date(to - 7 * 24 * 60 * 60 * 1000), to };
+    case "custom": {
+      const fromValue = document.getElementById("exportFrom").value;
+      const toValue = document.getElementById("exportTo").value;
+      return {
+        from: fromValue ? localDate(fromValue) : null,
+        // include the whole "to" day
+        to: toValue ? localDate(toValue, 23, 59, 59, 999) : to,
+      };
+    }
+    default:
+      return { from: null, to };
+  }
+}
+
+// Collect readings, rollups and pump log entries inside a range
+async function collectExportData(from, to) {
+  if (historyStore.db) {
+    const start = from || new Date(0);
+    const stored = await historyStore.getReadings(start, to);
+    const readings = stored.map((r) => ({
+      timestamp: new Date(r.t).toISOString(),
+      ph: r.ph,
+      temp: r.temp ?? null,
+      raw: r.raw ?? null,
+      suspect: !!r.suspect,
+    }));
+    const rawFrom = stored.length ? stored[0].t : to.getTime() + 1;
+    const rollups = await collectExportRollups(start, rawFrom);
+    const pumpLog = (await historyStore.getPumpEntries(start, to)).map(
+      ({ t, ...entry }) => entry
+    );
+    return { readings, rollups, pumpLog };
+  }
+
+  const inRange = (ts) => {
+    const t = new Date(ts);
+    return (!from || t >= from) && t <= to;
+  };
+
+  const readings = [];
+  phData.timestamps.forEach((ts, i) => {
+    if (!inRange(ts)) return;
+    readings.push({
+      timestamp: ts,
+      ph: phData.values[i],
+      temp: phData.temps[i] ?? null,
+      raw: phData.raw[i] ?? null,
+      suspect: !!phData.suspect[i],
+    });
+  });
+
+  const pumpLog = phData.pumpLog.filter((log) => inRange(log.timestamp));
+  return { readings, rollups: [], pumpLog };
+}
+
+// Rollup buckets from start up to rawFrom (epoch ms of the oldest raw reading
+// exported): 1-minute buckets, and 1-hour buckets before the oldest of those.
+// ph, temp and raw are the bucket means, suspect the number of suspect readings.
+async function collectExportRollups(start, rawFrom) {
+  const rollups = [];
+  let covered = rawFrom;
+  for (const level of ["1m", "1h"]) {
+    if (covered <= start.getTime()) break;
+    const size = ROLLUP_LEVELS[level];
+    const buckets = (await historyStore.getRollups(level, start, new Date(covered - 1))).filter(
+      (b) => b.t + size <= covered
+    );
+    if (buckets.length === 0) continue;
+    rollups.unshift(
+      ...buckets.map((b) => ({
+        timestamp: new Date(b.t).toISOString(),
+        level: level,
+        n: b.n,
+        ph: Math.round((b.sum / b.n) * 1000) / 1000,
+        min: b.min,
+        max: b.max,
+        temp: b.tempN ? Math.round((b.tempSum / b.tempN) * 100) / 100 : null,
+        raw: b.rawN ? Math.round((b.rawSum / b.rawN) * 1000) / 1000 : null,
+        suspect: b.suspectN || 0,
+      }))
+    );
+    covered = buckets[0].t;
+  }
+  return rollups;
+}
+
+// Quote a CSV field when it contains separators, quotes or newlines
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCSV({ readings, rollups, pumpLog }) {
+  const rows = [CSV_COLUMNS.join(",")];
+  rollups.forEach((b) => {
+    rows.push(
+      ["rollup", b.timestamp, b.ph, b.temp, b.raw, "", "", "", "", "", "", b.suspect, b.level, b.n, b.min, b.max]
+        .map(csvField)
+        .join(",")
+    );
+  });
+  readings.forEach((r) => {
+    rows.push(
+      ["reading", r.timestamp, r.ph, r.temp, r.raw, "", "", "", "", "", "", r.suspect ? 1 : "", "", "", "", ""]
+        .map(csvField)
+        .join(",")
+    );
+  });
+  pumpLog.forEach((log) => {
+    rows.push(
+      [
+        "pump",
+        new Date(log.timestamp).toISOString(),
+        "",
+        "",
+        "",
+        log.type,
+        log.durationMs,
+        log.volumeMl,
+        log.source,
+        log.solution,
+        log.concentration,
+        "",
+        "",
+        "",
+        "",
+        "",
+      ]
+        .map(csvField)
+        .join(",")
+    );
+  });
+  return rows.join("\n");
+}
+
+// Split CSV text into rows of fields (handles quoted fields)
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f !== ""));
+}
+
+function fromCSV(text) {
+  const rows = parseCSV(text);
+  const header = rows.shift() || [];
+  const col = (name) => header.indexOf(name);
+  if (col("record") === -1 || col("timestamp") === -1) {
+    throw new Error("Not an EcoSterile CSV export (missing record/timestamp columns)");
+  }
+
+  const num = (v) => (v === "" || v === undefined ? null : parseFloat(v));
+  const readings = [];
+  const pumpLog = [];
+  let rollups = 0;
+  rows.forEach((f) => {
+    const record = f[col("record")];
+    if (record === "reading") {
+      readings.push({
+        timestamp: f[col("timestamp")],
+        ph: num(f[col("ph")]),
+        temp: num(f[col("temp")]),
+        raw: num(f[col("raw")]),
+        suspect: f[col("suspect")] === "1",
+      });
+    } else if (record === "pump") {
+      const type = f[col("pump")];
+      pumpLog.push({
+        timestamp: f[col("timestamp")],
+        type: type,
+        concentration: f[col("concentration")] || "1%",
+        solution: f[col("solution")],
+        durationMs: num(f[col("durationMs")]),
+        volumeMl: num(f[col("volumeMl")]),
+        source: f[col("source")] || "device",
+      });
+    } else if (record === "rollup") {
+      rollups++;
+    }
+  });
+  return { readings, pumpLog, rollups };
+}
+
+function fromJSON(text) {
+  const data = JSON.parse(text);
+  if (data.format !== EXPORT_FORMAT) {
+    throw new Error("Not an EcoSterile JSON export");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error("Export was made by a newer dashboard (version " + data.version + ")");
+  }
+  return {
+    readings: data.readings || [],
+    pumpLog: data.pumpLog || [],
+    rollups: (data.rollups || []).length,
+  };
+}
+
+function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function exportData(format) {
+  const { from, to } = getExportRange();
+  const data = await collectExportData(from, to);
+  if (data.readings.length === 0 && data.rollups.length === 0 && data.pumpLog.length === 0) {
+    alert("No data in the selected range.");
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "csv") {
+    downloadFile(`ecosterile-${stamp}.csv`, toCSV(data), "text/csv");
+  } else {
+    const payload = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      range: { from: from ? from.toISOString() : null, to: to.toISOString() },
+      ...data,
+    };
+    downloadFile(
+      `ecosterile-${stamp}.json`,
+      JSON.stringify(payload, null, 2),
+      "application/json"
+    );
+  }
+}
+
+// Merge imported readings and pump log entries, skipping timestamps we already have
+async function mergeImportedData({ readings, pumpLog }) {
+  const result = { readings: 0, pumps: 0, duplicates: 0, tooOld: 0 };
+
+  const validReadings = readings
+    .map((r) => ({
+      t: new Date(r.timestamp).getTime(),
+      ph: r.ph,
+      temp: r.temp ?? null,
+      ...(r.suspect ? { suspect: true } : {}),
+      ...(typeof r.raw === "number" ? { raw: r.raw } : {}),
+    }))
+    .filter((r) => !isNaN(r.t) && typeof r.ph === "number" && !isNaN(r.ph));
+  const validPumps = pumpLog.filter(
+    (log) =>
+      !isNaN(new Date(log.timestamp)) &&
+      (log.type === "basic" || log.type === "acidic")
+  );
+
+  if (historyStore.db) {
+    // The store dedupes by key; rollups pick up the new readings too
+    result.readings = await historyStore.addReadings(validReadings);
+    result.pumps = await historyStore.addPumpEntries(validPumps);
+    result.duplicates =
+      validReadings.length - result.readings + (validPumps.length - result.pumps);
+    await loadRecentHistory();
+  } else {
+    const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    const existing = new Set(phData.timestamps.map((ts) => new Date(ts).getTime()));
+    const merged = phData.timestamps.map((ts, i) => ({
+      t: new Date(ts).getTime(),
+      ph: phData.values[i],
+      temp: phData.temps[i] ?? null,
+      suspect: !!phData.suspect[i],
+      raw: phData.raw[i] ?? null,
+    }));
+    validReadings.forEach((r) => {
+      if (r.t <= thirtyDaysAgo) return result.tooOld++;
+      if (existing.has(r.t)) return result.duplicates++;
+      existing.add(r.t);
+      merged.push(r);
+      result.readings++;
+    });
+    merged.sort((a, b) => a.t - b.t);
+    phData.timestamps = merged.map((r) => new Date(r.t).toISOString());
+    phData.values = merged.map((r) => r.ph);
+    phData.temps = merged.map((r) => r.temp);
+    phData.suspect = merged.map((r) => !!r.suspect);
+    phData.raw = merged.map((r) => r.raw ?? null);
+
+    const pumpKey = (log) => new Date(log.timestamp).getTime() + ":" + log.type;
+    const existingPumps = new Set(phData.pumpLog.map(pumpKey));
+    validPumps.forEach((log) => {
+      if (new Date(log.timestamp).getTime() <= thirtyDaysAgo) return result.tooOld++;
+      if (existingPumps.has(pumpKey(log))) return result.duplicates++;
+      existingPumps.add(pumpKey(log));
+      phData.pumpLog.push({ ...log, timestamp: new Date(log.timestamp).toISOString() });
+      result.pumps++;
+    });
+    phData.pumpLog.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  phData.lastPump = phData.pumpLog[phData.pumpLog.length - 1] || phData.lastPump;
+  saveData();
+  updateChart();
+  updatePumpInfo();
+  updateLog();
+  updateStats();
+  return result;
+}
+
+async function importData(file) {
+  try {
+    const text = await file.text();
+    const data = file.name.toLowerCase().endsWith(".csv")
+      ? fromCSV(text)
+      : fromJSON(text);
+    const result = await mergeImportedData(data);
+    alert(
+      `Imported ${result.readings} readings and ${result.pumps} pump entries.` +
+        (result.duplicates ? `\n${result.duplicates} duplicates skipped.` : "") +
+        (result.tooOld ? `\n${result.tooOld} entries older than 30 days skipped.` : "") +
+        (data.rollups ? `\n${data.rollups} averaged (rollup) rows are not imported.` : "")
+    );
+  } catch (err) {
+    console.error("Import failed:", err);
+    alert("Import failed:\n" + (err.message || err));
+  }
+}
+
+function initDataTransfer() {
+  const exportRange = document.getElementById("exportRange");
+  const customRange = document.getElementById("exportCustomRange");
+  const importFile = document.getElementById("importFile");
+
+  exportRange.addEventListener("change", function () {
+    customRange.style.display = this.value === "custom" ? "flex" : "none";
+  });
+  document
+    .getElementById("btnExportCSV")
+    .addEventListener("click", () => exportData("csv"));
+  document
+    .getElementById("btnExportJSON")
+    .addEventListener("click", () => exportData("json"));
+  document
+    .getElementById("btnImport")
+    .addEventListener("click", () => importFile.click());
+  importFile.addEventListener("change", async function () {
+    if (this.files.length > 0) await importData(this.files[0]);
+    this.value = ""; // allow importing the same file again
+  });
+}
+
+// ==========================================
+// Sensor Fault Detection
+// ==========================================
+// A disconnected or dying probe still produces numbers. These checks mirror
+// checkSensor() in Arduino.cpp so readings from any source (older firmware,
+// static playback, demo) are flagged too. A failing check marks the reading
+// suspect and latches a fault that clears after a run of clean readings.
+// Faults reported by the device are tracked separately and take precedence.
+// Every tank has its own state (tank.sensor, see createSensorState()).
+const SENSOR_FLATLINE_READINGS = 150; // FLATLINE_SAMPLES in Arduino.cpp
+const SENSOR_FLATLINE_EPSILON = 0.0005; // below the 3 decimals the device prints
+const SENSOR_MAX_PH_STEP = 1.0; // MAX_PH_STEP in Arduino.cpp
+const SENSOR_SPAN_MARGIN_PH = 2.0; // SPAN_MARGIN_PH in Arduino.cpp
+const SENSOR_FAULT_CLEAR_READINGS = 5; // FAULT_CLEAR_SAMPLES in Arduino.cpp
+const SENSOR_FAULT_LABELS = {
+  flatline: "flatlined voltage",
+  jump: "impossible pH jump",
+  pinned: "pH pinned at the 0/14 limit",
+  span: "voltage outside the calibrated span",
+};
+
+function createSensorCheck() {
+  return { lastPH: null, flatRef: null, flatCount: 0, cleanCount: 0 };
+}
+
+function createSensorState() {
+  return {
+    faults: { device: null, dashboard: null }, // { fault, since } per source, null while healthy
+    check: createSensorCheck(),
+  };
+}
+
+// The fault currently suspending dosing ({ fault, since, source }) or null
+function activeSensorFault(tank = activeTank) {
+  const faults = tank.sensor.faults;
+  if (faults.device) return { ...faults.device, source: "device" };
+  if (faults.dashboard) return { ...faults.dashboard, source: "dashboard" };
+  return null;
+}
+
+// Voltage outside the device's calibration points, widened by
+// SENSOR_SPAN_MARGIN_PH (unknown until the device has sent its config)
+function outsideCalibratedSpan(voltage, config) {
+  if (!config || !Array.isArray(config.cal)) return false;
+  const volts = config.cal.map(([, v]) => Number(v));
+  const slope = Math.abs(Number(config.slope));
+  const margin = slope ? SENSOR_SPAN_MARGIN_PH / slope : 0;
+  return voltage < Math.min(...volts) - margin || voltage > Math.max(...volts) + margin;
+}
+
+// Run the checks on one reading of a tank; returns true when it is suspect
+function checkSensorReading(pH, voltage = null, tank = activeTank) {
+  const device = tank.device;
+  const faults = tank.sensor.faults;
+  // probe out for cleaning: nothing to judge, and start afresh afterwards
+  if (device.mode === "maintenance") {
+    tank.sensor.check = createSensorCheck();
+    return false;
+  }
+
+  const state = tank.sensor.check;
+  let fault = null;
+
+  if (pH <= 0 || pH >= 14) fault = "pinned";
+  else if (voltage !== null && outsideCalibratedSpan(voltage, device.config)) fault = "span";
+  else if (state.lastPH !== null && Math.abs(pH - state.lastPH) > SENSOR_MAX_PH_STEP) {
+    fault = "jump";
+  }
+  state.lastPH = pH;
+
+  // Without a voltage (demo, playback) the pH itself must keep moving
+  const sample = voltage ?? pH;
+  if (state.flatRef !== null && Math.abs(sample - state.flatRef) < SENSOR_FLATLINE_EPSILON) {
+    state.flatCount = Math.min(state.flatCount + 1, SENSOR_FLATLINE_READINGS);
+  } else {
+    state.flatRef = sample;
+    state.flatCount = 0;
+  }
+  if (!fault && state.flatCount >= SENSOR_FLATLINE_READINGS) fault = "flatline";
+
+  if (fault) {
+    state.cleanCount = 0;
+    if (!faults.dashboard || faults.dashboard.fault !== fault) {
+      setSensorFault("dashboard", fault, tank);
+    }
+  } else if (
+    faults.dashboard &&
+    ++state.cleanCount >= SENSOR_FAULT_CLEAR_READINGS
+  ) {
+    setSensorFault("dashboard", null, tank);
+  }
+  return fault !== null;
+}
+
+// Raise (fault name) or clear (null) a tank's fault from one source
+function setSensorFault(source, fault, tank = activeTank) {
+  const faults = tank.sensor.faults;
+  const previous = faults[source];
+  if (fault) {
+    faults[source] = {
+      fault,
+      since: previous && previous.fault === fault ? previous.since : new Date(),
+    };
+    console.warn(`Sensor fault (${tank.name}, ${source}): ${SENSOR_FAULT_LABELS[fault] || fault}`);
+  } else if (previous) {
+    faults[source] = null;
+    console.log(`Sensor fault cleared (${tank.name}, ${source}): ${previous.fault}`);
+  }
+  if (tank === activeTank) renderSensorFault();
+  renderTankCard(tank);
+}
+
+// {"type":"fault","fault":"...","active":true|false} from the firmware
+function handleFaultMessage(obj, tank = activeTank) {
+  const current = tank.sensor.faults.device;
+  if (obj.active) setSensorFault("device", obj.fault, tank);
+  else if (current && current.fault === obj.fault) {
+    setSensorFault("device", null, tank);
+  }
+}
+
+function resetSensorFaults(tank = activeTank) {
+  tank.sensor = createSensorState();
+  if (tank === activeTank) renderSensorFault();
+  renderTankCard(tank);
+}
+
+// Fault banner on the pH card
+function renderSensorFault() {
+  const el = document.getElementById("sensorFault");
+  if (!el) return;
+  const fault = activeSensorFault();
+  if (!fault) {
+    el.textContent = "";
+    el.classList.remove("active");
+    return;
+  }
+  el.textContent =
+    `⚠️ Sensor fault: ${SENSOR_FAULT_LABELS[fault.fault] || fault.fault} ` +
+    `since ${fault.since.toLocaleTimeString()} - automatic dosing suspended`;
+  el.title =
+    fault.source === "device"
+      ? "Reported by the device"
+      : "Detected by the dashboard; the device may still dose if its firmware has no fault checks";
+  el.classList.add("active");
+}
+
+// ==========================================
+// Alarm Engine
+// ==========================================
+// Each check in ALARM_CHECKS returns a message while its condition holds, or
+// null. evaluateAlarms() raises, re-alerts (after snooze) and clears alarms,
+// keeps a history, and alerts with a sound and a browser notification. Every
+// tank is evaluated, open or not (tank.alarms, see createAlarmState()); the
+// rules are shared.
+const ALARM_RULES_KEY = "ecosterile_alarm_rules";
+const ALARM_HISTORY_KEY = "ecosterile_alarm_history";
+const ALARM_HISTORY_LIMIT = 200;
+const ALARM_SNOOZE_MS = 15 * 60 * 1000;
+const ALARM_BEEP_INTERVAL_MS = 10 * 1000;
+const DEFAULT_ALARM_RULES = {
+  outOfRange: { enabled: true, minutes: 5 },
+  rateOfChange: { enabled: true, phPerMin: 0.5 },
+  noReading: { enabled: true, seconds: 60 },
+  pumpFrequency: { enabled: true, perHour: 20 },
+  sensorFault: { enabled: true },
+  pumpLockout: { enabled: true },
+  sound: true,
+  notifications: false,
+};
+
+let alarmRules = loadAlarmRules();
+let alarmAudio = null; // AudioContext, created on first user interaction
+let lastBeepAt = 0;
+
+function createAlarmState() {
+  return {
+    active: {}, // id -> { id, message, raisedAt, acknowledged, snoozedUntil }
+    lastReadingAt: null, // Date of the latest reading
+    outOfRangeSince: null, // Date pH first left the crop range, null while inside
+    readings: [], // { t, pH } of the last minute, for the rate of change
+    doses: [], // epoch ms of the last hour's doses of a tank that is not open
+  };
+}
+
+const ALARM_CHECKS = {
+  outOfRange: (rule, tank) => {
+    const since = tank.alarms.outOfRangeSince;
+    if (!since) return null;
+    const minutes = (Date.now() - since) / 60000;
+    if (minutes < rule.minutes) return null;
+    return `pH outside ${tank.crop.min} - ${tank.crop.max} for ${Math.floor(minutes)} min`;
+  },
+  rateOfChange: (rule, tank) => {
+    if (tank.device.mode === "maintenance") return null;
+    const rate = getPHRatePerMinute(tank);
+    if (rate === null || Math.abs(rate) <= rule.phPerMin) return null;
+    return `pH changing ${rate > 0 ? "up" : "down"} at ${Math.abs(rate).toFixed(2)} pH/min`;
+  },
+  noReading: (rule, tank) => {
+    const last = tank.alarms.lastReadingAt;
+    if (!last) return null;
+    const seconds = (Date.now() - last) / 1000;
+    if (seconds < rule.seconds) return null;
+    return `No reading for ${Math.floor(seconds)} s`;
+  },
+  pumpFrequency: (rule, tank) => {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    const times =
+      tank === activeTank
+        ? phData.pumpLog.map((log) => new Date(log.timestamp).getTime())
+        : tank.alarms.doses;
+    const count = times.filter((t) => t > hourAgo).length;
+    if (count <= rule.perHour) return null;
+    return `Pumps fired ${count} times in the last hour`;
+  },
+  sensorFault: (rule, tank) => {
+    const fault = activeSensorFault(tank);
+    if (!fault) return null;
+    return `Probe ${SENSOR_FAULT_LABELS[fault.fault] || fault.fault}; dosing suspended`;
+  },
+  pumpLockout: (rule, tank) => {
+    const lockout = tank.device.lockout;
+    return lockout ? describeLockout(lockout) + "; dosing locked out" : null;
+  },
+};
+
+const ALARM_LABELS = {
+  outOfRange: "pH out of range",
+  rateOfChange: "Rapid pH change",
+  noReading: "No readings",
+  pumpFrequency: "Frequent dosing",
+  sensorFault: "Sensor fault",
+  pumpLockout: "Pump lockout",
+};
+
+function loadAlarmRules() {
+  const defaults = JSON.parse(JSON.stringify(DEFAULT_ALARM_RULES));
+  try {
+    const stored = JSON.parse(localStorage.getItem(ALARM_RULES_KEY));
+    if (!stored) return defaults;
+    Object.keys(defaults).forEach((key) => {
+      if (stored[key] === undefined) return;
+      defaults[key] =
+        typeof defaults[key] === "object"
+          ? { ...defaults[key], ...stored[key] }
+          : stored[key];
+    });
+    return defaults;
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveAlarmRules() {
+  localStorage.setItem(ALARM_RULES_KEY, JSON.stringify(alarmRules));
+}
+
+function loadAlarmHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(ALARM_HISTORY_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function recordAlarmEvent(id, event, message, tank = activeTank) {
+  const history = loadAlarmHistory();
+  history.push({ t: new Date().toISOString(), id, event, message, tank: tank.name });
+  localStorage.setItem(
+    ALARM_HISTORY_KEY,
+    JSON.stringify(history.slice(-ALARM_HISTORY_LIMIT))
+  );
+}
+
+// pH change per minute over a tank's last minute of readings (null without
+// enough data)
+function getPHRatePerMinute(tank = activeTank) {
+  const readings = tank.alarms.readings;
+  const n = readings.length;
+  if (n < 2) return null;
+  const spanMs = readings[n - 1].t - readings[0].t;
+  if (spanMs < 20000) return null; // too short to judge
+  return (readings[n - 1].pH - readings[0].pH) / (spanMs / 60000);
+}
+
+// Track reading time, the last minute of values and out-of-range duration,
+// then evaluate (called per reading of any tank)
+function noteReadingForAlarms(pH, tank = activeTank) {
+  const state = tank.alarms;
+  const now = new Date();
+  state.lastReadingAt = now;
+  state.readings.push({ t: now.getTime(), pH });
+  while (now - state.readings[0].t > 60000) state.readings.shift();
+
+  const outside =
+    tank.device.mode !== "maintenance" && (pH < tank.crop.min || pH > tank.crop.max);
+  if (!outside) state.outOfRangeSince = null;
+  else if (!state.outOfRangeSince) state.outOfRangeSince = now;
+  evaluateAlarms(tank);
+}
+
+// A dose of a tank that is not open (the open tank counts phData.pumpLog)
+function noteDoseForAlarms(tank, at) {
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  tank.alarms.doses = tank.alarms.doses.filter((t) => t > hourAgo).concat(at.getTime());
+}
+
+function evaluateAlarms(tank = activeTank) {
+  // a replayed session is history: it must not page anyone
+  if (tank.link.state === "replay") return;
+  const now = Date.now();
+  const active = tank.alarms.active;
+
+  Object.entries(ALARM_CHECKS).forEach(([id, check]) => {
+    const rule = alarmRules[id];
+    const message = rule && rule.enabled ? check(rule, tank) : null;
+    const alarm = active[id];
+
+    if (message && !alarm) {
+      active[id] = {
+        id,
+        message,
+        raisedAt: new Date(),
+        acknowledged: false,
+        snoozedUntil: null,
+      };
+      recordAlarmEvent(id, "raised", message, tank);
+      notifyAlarm(active[id], tank);
+    } else if (message && alarm) {
+      alarm.message = message;
+      // snooze over and still active: alert again
+      if (alarm.snoozedUntil && now >= alarm.snoozedUntil) {
+        alarm.snoozedUntil = null;
+        alarm.acknowledged = false;
+        notifyAlarm(alarm, tank);
+      }
+    } else if (!message && alarm) {
+      recordAlarmEvent(id, "cleared", alarm.message, tank);
+      delete active[id];
+    }
+  });
+
+  // Keep beeping while something is neither acknowledged nor snoozed
+  if (alarmsNeedingAttention().length && now - lastBeepAt >= ALARM_BEEP_INTERVAL_MS) {
+    playAlarmSound();
+  }
+
+  renderAlarms();
+  renderTankCard(tank);
+}
+
+// Every tank's active alarms as { tank, alarm }
+function allActiveAlarms() {
+  return tanks.flatMap((tank) =>
+    Object.values(tank.alarms.active).map((alarm) => ({ tank, alarm }))
+  );
+}
+
+function alarmsNeedingAttention() {
+  return allActiveAlarms().filter(({ alarm }) => !alarm.acknowledged && !alarm.snoozedUntil);
+}
+
+// Drop a tank's alarms without recording them, e.g. when demo data stops
+// feeding a tank that is no longer open
+function resetAlarmState(tank) {
+  tank.alarms = createAlarmState();
+  renderAlarms();
+  renderTankCard(tank);
+}
+
+function acknowledgeAlarm(tank, id) {
+  const alarm = tank.alarms.active[id];
+  if (!alarm) return;
+  alarm.acknowledged = true;
+  recordAlarmEvent(id, "acknowledged", alarm.message, tank);
+  renderAlarms();
+  renderTankCard(tank);
+}
+
+function snoozeAlarm(tank, id) {
+  const alarm = tank.alarms.active[id];
+  if (!alarm) return;
+  alarm.snoozedUntil = Date.now() + ALARM_SNOOZE_MS;
+  recordAlarmEvent(id, "snoozed", alarm.message, tank);
+  renderAlarms();
+  renderTankCard(tank);
+}
+
+// Short two-tone beep through Web Audio (no sound file needed)
+function playAlarmSound() {
+  lastBeepAt = Date.now();
+  if (!alarmRules.sound || !alarmAudio) return;
+  [880, 660].forEach((freq, i) => {
+    const osc = alarmAudio.createOscillator();
+    const gain = alarmAudio.createGain();
+    osc.frequency.value = freq;
+    gain.gain.value = 0.15;
+    osc.connect(gain).connect(alarmAudio.destination);
+    const start = alarmAudio.currentTime + i * 0.25;
+    osc.start(start);
+    osc.stop(start + 0.2);
+  });
+}
+
+function notifyAlarm(alarm, tank = activeTank) {
+  playAlarmSound();
+  if (
+    alarmRules.notifications &&
+    "Notification" in window &&
+    Notification.permission === "granted"
+  ) {
+    const name = tanks.length > 1 ? ` (${tank.name})` : "";
+    new Notification("EcoSterile alarm: " + ALARM_LABELS[alarm.id] + name, {
+      body: alarm.message,
+      tag: `ecosterile-${tank.id}-${alarm.id}`, // replaces an older popup for the same alarm
+    });
+  }
+}
+
+// Alarms of every tank; the tank is named once there is more than one
+function renderAlarms() {
+  const badge = document.getElementById("alarmBadge");
+  const list = document.getElementById("activeAlarms");
+  const entries = allActiveAlarms();
+  const alarms = entries.map(({ alarm }) => alarm);
+  const unhandled = alarmsNeedingAttention();
+
+  if (badge) {
+    badge.textContent = alarms.length === 0 ? "None" : alarms.length + " active";
+    badge.classList.toggle("online", alarms.length === 0);
+    badge.classList.toggle("offline", unhandled.length > 0);
+    badge.classList.toggle("alarm-handled", alarms.length > 0 && unhandled.length === 0);
+  }
+  // Show the alarm count in the tab title so other tabs notice
+  document.title =
+    (unhandled.length ? `⚠️ (${unhandled.length}) ` : "") +
+    "EcoSterile - pH Regulator Dashboard";
+
+  if (!list) return;
+  if (alarms.length === 0) {
+    list.innerHTML = '<p class="empty-state">No active alarms</p>';
+    return;
+  }
+  list.innerHTML = entries
+    .map(
+      ({ tank, alarm: a }) => `
+        <div class="alarm-entry${a.acknowledged || a.snoozedUntil ? " handled" : ""}" data-alarm-tank="${tank.id}">
+            <div>
+                <div class="alarm-title">${ALARM_LABELS[a.id]}<span class="alarm-tank"></span></div>
+                <div class="log-time">${a.message} · since ${a.raisedAt.toLocaleTimeString()}</div>
+            </div>
+            <div class="alarm-actions">
+                ${
+                  a.snoozedUntil
+                    ? `<span class="log-time">Snoozed until ${new Date(a.snoozedUntil).toLocaleTimeString()}</span>`
+                    : `<button class="btn-time" data-alarm-snooze="${a.id}">Snooze 15 min</button>`
+                }
+                ${
+                  a.acknowledged
+                    ? '<span class="log-time">Acknowledged</span>'
+                    : `<button class="btn-time" data-alarm-ack="${a.id}">Acknowledge</button>`
+                }
+            </div>
+        </div>
+    `
+    )
+    .join("");
+  // tank names are typed by users, so they go in as text
+  if (tanks.length > 1) {
+    list.querySelectorAll(".alarm-tank").forEach((el, i) => {
+      el.textContent = " - " + entries[i].tank.name;
+    });
+  }
+}
+
+function renderAlarmHistory() {
+  const container = document.getElementById("alarmHistory");
+  if (!container) return;
+  const history = loadAlarmHistory().slice(-50).reverse();
+  if (history.length === 0) {
+    container.innerHTML = '<p class="empty-state">No alarms recorded yet</p>';
+    return;
+  }
+  container.innerHTML = history
+    .map(
+      (h) => `
+        <div class="alarm-history-entry ${h.event}">
+            <span>${new Date(h.t).toLocaleString()}</span>
+            <span>${ALARM_LABELS[h.id] || h.id} - ${h.event}<span class="alarm-tank"></span></span>
+            <span class="log-time">${h.message}</span>
+        </div>
+    `
+    )
+    .join("");
+  if (tanks.length > 1) {
+    container.querySelectorAll(".alarm-tank").forEach((el, i) => {
+      if (history[i].tank) el.textContent = ` (${history[i].tank})`;
+    });
+  }
+}
+
+// Wire alarm buttons, the rule settings form and the periodic check
+function initAlarms() {
+  const list = document.getElementById("activeAlarms");
+  list.addEventListener("click", function (e) {
+    const entry = e.target.closest(".alarm-entry");
+    const tank = entry && tanks.find((t) => t.id === entry.dataset.alarmTank);
+    if (!tank) return;
+    const ack = e.target.dataset.alarmAck;
+    const snooze = e.target.dataset.alarmSnooze;
+    if (ack) acknowledgeAlarm(tank, ack);
+    if (snooze) snoozeAlarm(tank, snooze);
+    renderAlarmHistory();
+  });
+
+  // Browsers only allow audio after a user gesture
+  document.addEventListener(
+    "click",
+    function () {
+      if (!alarmAudio && (window.AudioContext || window.webkitAudioContext)) {
+        alarmAudio = new (window.AudioContext || window.webkitAudioContext)();
+      }
+    },
+    { once: true }
+  );
+
+  const form = document.getElementById("alarmSettingsForm");
+  form.outOfRangeEnabled.checked = alarmRules.outOfRange.enabled;
+  form.outOfRangeMinutes.value = alarmRules.outOfRange.minutes;
+  form.rateEnabled.checked = alarmRules.rateOfChange.enabled;
+  form.ratePHPerMin.value = alarmRules.rateOfChange.phPerMin;
+  form.noReadingEnabled.checked = alarmRules.noReading.enabled;
+  form.noReadingSeconds.value = alarmRules.noReading.seconds;
+  form.pumpFrequencyEnabled.checked = alarmRules.pumpFrequency.enabled;
+  form.pumpFrequencyPerHour.value = alarmRules.pumpFrequency.perHour;
+  form.sensorFaultEnabled.checked = alarmRules.sensorFault.enabled;
+  form.pumpLockoutEnabled.checked = alarmRules.pumpLockout.enabled;
+  form.alarmSound.checked = alarmRules.sound;
+  form.alarmNotifications.checked = alarmRules.notifications;
+
+  form.addEventListener("submit", async function (e) {
+    e.preventDefault();
+    const numbers = [
+      parseFloat(form.outOfRangeMinutes.value),
+      parseFloat(form.ratePHPerMin.value),
+      parseFloat(form.noReadingSeconds.value),
+      parseFloat(form.pumpFrequencyPerHour.value),
+    ];
+    if (numbers.some((v) => isNaN(v) || v <= 0)) {
+      alert("Alarm thresholds must be positive numbers.");
+      return;
+    }
+
+    alarmRules.outOfRange = { enabled: form.outOfRangeEnabled.checked, minutes: numbers[0] };
+    alarmRules.rateOfChange = { enabled: form.rateEnabled.checked, phPerMin: numbers[1] };
+    alarmRules.noReading = { enabled: form.noReadingEnabled.checked, seconds: numbers[2] };
+    alarmRules.pumpFrequency = { enabled: form.pumpFrequencyEnabled.checked, perHour: numbers[3] };
+    alarmRules.sensorFault = { enabled: form.sensorFaultEnabled.checked };
+    alarmRules.pumpLockout = { enabled: form.pumpLockoutEnabled.checked };
+    alarmRules.sound = form.alarmSound.checked;
+    alarmRules.notifications = form.alarmNotifications.checked;
+
+    if (alarmRules.notifications && "Notification" in window) {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        alert("Notifications are blocked for this page; alarms will only show here.");
+        alarmRules.notifications = false;
+        form.alarmNotifications.checked = false;
+      }
+    }
+
+    saveAlarmRules();
+    tanks.forEach((tank) => evaluateAlarms(tank));
+    alert("Alarm settings saved");
+  });
+
+  renderAlarms();
+  renderAlarmHistory();
+
+  // Time-based rules (no reading) need checking even when data stops
+  setInterval(() => {
+    tanks.forEach((tank) => evaluateAlarms(tank));
+    renderAlarmHistory();
+  }, 5000);
+}
+
+// ==========================================
+// Simulated Data Stream (Demo Mode)
+// ==========================================
+// Demo mode runs the firmware simulator from simulator.js as if it were a
+// connected board: its serial lines go through handleSerialLine() and
+// commands reach it through sendArduinoCommand(). Its "EEPROM" lives in
+// localStorage so demo settings survive a reload like the real device's.
+const DEMO_DEVICE_SETTINGS_KEY = "ecosterile_demo_device";
+const DEMO_TICK_MS = 1000;
+// livelier than a real tank, but few enough doses to stay under the
+// firmware's default daily burst limit
+const DEMO_TANK = { startPH: 7.0, driftPerHour: 1.0, doseEffect: 0.2 };
+
+let demoDevice = null; // firmware simulator while demo mode runs
+
+// model replaces the simulator's tank model (see startStaticPlayback())
+function startSimulation(model = null) {
+  console.log("Starting demo simulation...");
+  const tank = activeTank; // selectTank() stops the simulation before switching
+
+  demoDevice = createFirmwareSimulator({
+    onLine: (line) => {
+      try {
+        handleSerialLine(tank, line);
+      } catch (err) {
+        console.error("Could not handle simulator line:", line, err);
+      }
+    },
+    storage: {
+      load: () => {
+        try {
+          return JSON.parse(localStorage.getItem(DEMO_DEVICE_SETTINGS_KEY));
+        } catch (e) {
+          return null;
+        }
+      },
+      save: (settings) => localStorage.setItem(DEMO_DEVICE_SETTINGS_KEY, JSON.stringify(settings)),
+    },
+    tank: model || undefined,
+    tankOptions: DEMO_TANK,
+  });
+  tank.link.synced = false;
+  resetLinkStats(tank);
+  startHandshake(tank);
+  demoDevice.boot();
+
+  // store interval id so we can stop simulation when Arduino connects
+  let lastTick = Date.now();
+  simInterval = setInterval(() => {
+    const now = Date.now();
+    demoDevice.advance(now - lastTick);
+    lastTick = now;
+  }, DEMO_TICK_MS);
+}
+
+function stopSimulation() {
+  if (simInterval || demoDevice) {
+    clearInterval(simInterval);
+    simInterval = null;
+    demoDevice = null;
+    resetDeviceState(activeTank);
+    console.log("Simulation stopped");
+  }
+}
+
+// ==========================================
+// Audit Log
+// ==========================================
+// Who changed what and when: crop and range changes (by hand, from a growth
+// stage or a profile edit), crop password events and commands an operator
+// sent to a device. "Who" is the operator name entered in the audit card;
+// changes the dashboard makes by itself are logged as "schedule".
+const AUDIT_LOG_KEY = "ecosterile_audit_log";
+const AUDIT_LOG_LIMIT = 2000;
+const AUDIT_LOG_SHOWN = 200;
+const OPERATOR_KEY = "ecosterile_operator";
+const AUDIT_CATEGORIES = {
+  crop: "Crop & range",
+  password: "Password",
+  command: "Device command",
+};
+const AUDIT_CSV_COLUMNS = ["time", "category", "action", "details", "tank", "operator"];
+
+function loadAuditLog() {
+  try {
+    return JSON.parse(localStorage.getItem(AUDIT_LOG_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function currentOperator() {
+  return localStorage.getItem(OPERATOR_KEY) || "unnamed";
+}
+
+// Append one entry; options.tank defaults to the open tank, options.operator
+// to the operator name
+function logAudit(category, action, details = "", options = {}) {
+  const tank = options.tank || activeTank;
+  const log = loadAuditLog();
+  log.push({
+    t: new Date().toISOString(),
+    category: category,
+    action: action,
+    details: details,
+    tank: tank ? tank.name : null,
+    operator: options.operator || currentOperator(),
+  });
+  localStorage.setItem(AUDIT_LOG_KEY, JSON.stringify(log.slice(-AUDIT_LOG_LIMIT)));
+  renderAuditLog();
+}
+
+// "Rice (Dhaan) · Seedling, pH 5.8 - 6.2"
+function describeCrop(crop) {
+  return `${cropLabel(crop)}, pH ${crop.min.toFixed(1)} - ${crop.max.toFixed(1)}`;
+}
+
+const COMMAND_AUDIT_ACTIONS = {
+  sent: "Command sent",
+  queued: "Command queued",
+  failed: "Command not sent",
+};
+
+// Commands an operator gave through a form, button or the serial console,
+// logged once the send has finished; resolves to the outcome like
+// sendTankCommand
+async function sendManualCommand(command) {
+  const tank = activeTank;
+  const target = demoDevice ? " (demo device)" : replay ? " (replay)" : "";
+  const outcome = await sendArduinoCommand(command);
+  logAudit("command", COMMAND_AUDIT_ACTIONS[outcome], command + target, { tank: tank });
+  return outcome;
+}
+
+function renderAuditLog() {
+  const container = document.getElementById("auditLog");
+  if (!container) return;
+  const filter = document.getElementById("auditFilter").value;
+  const entries = loadAuditLog()
+    .filter((e) => filter === "all" || e.category === filter)
+    .slice(-AUDIT_LOG_SHOWN)
+    .reverse();
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="empty-state">Nothing recorded yet</p>';
+    return;
+  }
+  container.innerHTML = "";
+  entries.forEach((e) => {
+    const row = document.createElement("div");
+    row.className = "audit-entry " + e.category;
+    [
+      new Date(e.t).toLocaleString(),
+      e.action,
+      e.details,
+      [e.tank, e.operator].filter(Boolean).join(" · "),
+    ].forEach((text, i) => {
+      const cell = document.createElement("span");
+      if (i === 3) cell.className = "log-time";
+      // details and names are typed by users, so they go in as text
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    container.appendChild(row);
+  });
+}
+
+function exportAuditLog(format) {
+  const log = loadAuditLog();
+  if (log.length === 0) {
+    alert("The audit log is empty.");
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    downloadFile(`ecosterile-audit-${stamp}.json`, JSON.stringify(log, null, 2), "application/json");
+    return;
+  }
+  const rows = [AUDIT_CSV_COLUMNS.join(",")].concat(
+    log.map((e) =>
+      [e.t, AUDIT_CATEGORIES[e.category] || e.category, e.action, e.details, e.tank, e.operator]
+        .map(csvField)
+        .join(",")
+    )
+  );
+  downloadFile(`ecosterile-audit-${stamp}.csv`, rows.join("\n") + "\n", "text/csv");
+}
+
+function initAuditLog() {
+  const operator = document.getElementById("auditOperator");
+  operator.value = localStorage.getItem(OPERATOR_KEY) || "";
+  operator.addEventListener("change", function () {
+    const name = operator.value.trim();
+    if (name) localStorage.setItem(OPERATOR_KEY, name);
+    else localStorage.removeItem(OPERATOR_KEY);
+  });
+  document.getElementById("auditFilter").addEventListener("change", renderAuditLog);
+  document.getElementById("btnExportAuditCSV").addEventListener("click", () => exportAuditLog("csv"));
+  document.getElementById("btnExportAuditJSON").addEventListener("click", () => exportAuditLog("json"));
+  renderAuditLog();
+}
+
+// ==========================================
+// Crop Profiles
+// ==========================================
+// The crops offered in the crop selector. Built-in crops come from
+// BUILTIN_CROP_GROUPS; users can override their ranges and add crops of their
+// own (CROP_PROFILES_KEY keeps both, keyed by crop id). A profile may have
+// growth stages, each with its own pH range from a start date on, so the
+// range a tank runs advances over the season (see advanceCropStages()).
+const CROP_PROFILES_KEY = "ecosterile_crop_profiles";
+const CUSTOM_CROP_GROUP = "Custom";
+const CROP_STAGE_CHECK_MS = 60 * 1000;
+const STAGE_NAME_SUGGESTIONS = ["Seedling", "Vegetative", "Flowering"];
+
+const BUILTIN_CROP_GROUPS = {
+  "Cereals / Foodgrains": [
+    { id: "rice", name: "Rice (Dhaan)", min: 5.5, max: 6.5, icon: "🌾" },
+    { id: "wheat", name: "Wheat (Gehun)", min: 6.0, max: 7.5, icon: "🌾" },
+    { id: "maize", name: "Maize (Makka/Corn)", min: 5.5, max: 7.5, icon: "🌽" },
+    { id: "barley", name: "Barley (Jau)", min: 6.0, max: 7.5, icon: "🌾" },
+    { id: "sorghum", name: "Sorghum (Jowar)", min: 5.5, max: 7.5, icon: "🌾" },
+    { id: "pearl_millet", name: "Pearl Millet (Bajra)", min: 5.5, max: 6.5, icon: "🌾" },
+    { id: "finger_millet", name: "Finger Millet (Ragi/Mandua)", min: 5.5, max: 7.5, icon: "🌾" },
+  ],
+  "Pulses (Dal crops)": [
+    { id: "chickpea", name: "Chickpea (Chana)", min: 6.0, max: 7.5, icon: "🫘" },
+    { id: "pigeon_pea", name: "Pigeon Pea (Arhar/Tur)", min: 5.5, max: 7.0, icon: "🫘" },
+    { id: "black_gram", name: "Black Gram (Urad)", min: 6.0, max: 7.0, icon: "🫘" },
+    { id: "green_gram", name: "Green Gram (Moong)", min: 6.0, max: 7.5, icon: "🫘" },
+    { id: "lentil", name: "Lentil (Masoor)", min: 6.0, max: 7.5, icon: "🫘" },
+    { id: "kidney_bean", name: "Kidney Beans (Rajma)", min: 5.5, max: 7.0, icon: "🫘" },
+    { id: "cowpea", name: "Cowpea (Lobia)", min: 5.5, max: 7.5, icon: "🫘" },
+    { id: "horse_gram", name: "Horse Gram (Kulthi)", min: 5.5, max: 7.0, icon: "🫘" },
+  ],
+  "Oilseeds": [
+    { id: "mustard", name: "Mustard", min: 6.0, max: 7.5, icon: "🌼" },
+    { id: "groundnut", name: "Groundnut (Moongfali)", min: 5.0, max: 6.5, icon: "🥜" },
+    { id: "soybean", name: "Soybean", min: 6.0, max: 6.8, icon: "🌱" },
+    { id: "sunflower", name: "Sunflower", min: 5.5, max: 7.0, icon: "🌻" },
+    { id: "sesame", name: "Sesame (Til)", min: 6.0, max: 7.5, icon: "🌿" },
+    { id: "castor", name: "Castor", min: 6.0, max: 8.0, icon: "🌱" },
+    { id: "linseed", name: "Linseed (Alsi)", min: 6.0, max: 7.5, icon: "🌿" },
+  ],
+  "Vegetables (Major)": [
+    { id: "tomato", name: "Tomato", min: 5.5, max: 6.8, icon: "🍅" },
+    { id: "potato", name: "Potato", min: 5.0, max: 6.0, icon: "🥔" },
+    { id: "onion", name: "Onion", min: 6.0, max: 7.0, icon: "🧅" },
+    { id: "brinjal", name: "Brinjal (Baingan)", min: 5.5, max: 6.5, icon: "🍆" },
+    { id: "cabbage", name: "Cabbage", min: 6.0, max: 7.5, icon: "🥬" },
+    { id: "cauliflower", name: "Cauliflower", min: 6.0, max: 7.5, icon: "🥦" },
+    { id: "carrot", name: "Carrot", min: 6.0, max: 7.0, icon: "🥕" },
+    { id: "spinach", name: "Spinach", min: 6.5, max: 7.5, icon: "🥬" },
+    { id: "capsicum", name: "Capsicum (Bell Pepper)", min: 6.0, max: 6.8, icon: "🫑" },
+    { id: "okra", name: "Okra (Bhindi)", min: 6.0, max: 6.8, icon: "🥒" },
+    { id: "bottle_gourd", name: "Bottle Gourd (Lauki)", min: 6.0, max: 7.0, icon: "🫛" },
+    { id: "bitter_gourd", name: "Bitter Gourd (Karela)", min: 5.5, max: 6.5, icon: "🥒" },
+    { id: "pumpkin", name: "Pumpkin", min: 6.0, max: 7.5, icon: "🎃" },
+    { id: "peas", name: "Peas", min: 6.0, max: 7.5, icon: "🫛" },
+  ],
+  "Fruits": [
+    { id: "mango", name: "Mango", min: 5.5, max: 7.5, icon: "🥭" },
+    { id: "banana", name: "Banana", min: 5.5, max: 7.0, icon: "🍌" },
+    { id: "guava", name: "Guava", min: 5.0, max: 7.0, icon: "🫐" },
+    { id: "apple", name: "Apple", min: 5.5, max: 6.5, icon: "🍎" },
+    { id: "grapes", name: "Grapes", min: 6.0, max: 7.0, icon: "🍇" },
+    { id: "papaya", name: "Papaya", min: 6.0, max: 6.5, icon: "🍈" },
+    { id: "watermelon", name: "Watermelon", min: 6.0, max: 7.0, icon: "🍉" },
+    { id: "muskmelon", name: "Muskmelon", min: 6.0, max: 7.0, icon: "🍈" },
+    { id: "pomegranate", name: "Pomegranate", min: 5.5, max: 7.5, icon: "🍎" },
+    { id: "orange", name: "Orange", min: 5.5, max: 6.5, icon: "🍊" },
+    { id: "lemon", name: "Lemon", min: 5.5, max: 6.5, icon: "🍋" },
+    { id: "coconut", name: "Coconut", min: 5.5, max: 7.5, icon: "🥥" },
+  ],
+  "Commercial / Cash Crops": [
+    { id: "sugarcane", name: "Sugarcane", min: 6.0, max: 7.5, icon: "🌾" },
+    { id: "cotton", name: "Cotton", min: 5.5, max: 7.5, icon: "☁️" },
+    { id: "jute", name: "Jute", min: 5.5, max: 7.0, icon: "🌿" },
+    { id: "tobacco", name: "Tobacco", min: 5.5, max: 6.5, icon: "🌿" },
+    { id: "tea", name: "Tea", min: 4.5, max: 5.5, icon: "🍃" },
+    { id: "coffee", name: "Coffee", min: 5.0, max: 6.5, icon: "☕" },
+    { id: "rubber", name: "Rubber", min: 4.5, max: 6.5, icon: "🌳" },
+    { id: "cocoa", name: "Cocoa", min: 6.0, max: 7.0, icon: "🍫" },
+  ],
+  "Plantation & Spices": [
+    { id: "cardamom", name: "Cardamom", min: 5.5, max: 6.5, icon: "🌿" },
+    { id: "black_pepper", name: "Black Pepper", min: 5.5, max: 7.0, icon: "🧂" },
+    { id: "turmeric", name: "Turmeric", min: 5.5, max: 7.5, icon: "🌿" },
+    { id: "ginger", name: "Ginger", min: 5.5, max: 6.5, icon: "🌿" },
+    { id: "coriander", name: "Coriander", min: 6.0, max: 7.0, icon: "🌿" },
+    { id: "cumin", name: "Cumin", min: 6.0, max: 8.0, icon: "🌿" },
+    { id: "fenugreek", name: "Fenugreek", min: 6.0, max: 7.5, icon: "🌿" },
+    { id: "cinnamon", name: "Cinnamon", min: 5.5, max: 6.5, icon: "🌿" },
+    { id: "clove", name: "Clove", min: 5.5, max: 7.0, icon: "🌿" },
+  ],
+};
+
+// id -> { id, name, group, min, max, icon }
+const BUILTIN_CROPS = {};
+Object.entries(BUILTIN_CROP_GROUPS).forEach(([group, crops]) =>
+  crops.forEach((crop) => (BUILTIN_CROPS[crop.id] = { ...crop, group: group }))
+);
+
+// id -> { name, group, min, max, icon, stages: [{ name, start, min, max }] }
+// for every edited built-in crop and every user crop; start is "YYYY-MM-DD"
+let cropProfiles = loadCropProfiles();
+
+function loadCropProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(CROP_PROFILES_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveCropProfiles() {
+  localStorage.setItem(CROP_PROFILES_KEY, JSON.stringify(cropProfiles));
+}
+
+// Effective profile of a crop, or null for an unknown (deleted) crop
+function getCropProfile(id) {
+  const builtin = BUILTIN_CROPS[id];
+  const stored = cropProfiles[id];
+  if (!builtin && !stored) return null;
+  return {
+    stages: [],
+    ...builtin,
+    ...stored,
+    id: id,
+    builtin: !!builtin,
+    edited: !!(builtin && stored),
+  };
+}
+
+// Every profile in selector order: built-in groups first, then user groups
+function allCropProfiles() {
+  const custom = Object.keys(cropProfiles).filter((id) => !BUILTIN_CROPS[id]);
+  return Object.keys(BUILTIN_CROPS).concat(custom).map(getCropProfile);
+}
+
+// The stage in effect on a date (stages are kept sorted by start), or null
+// before the first stage starts
+function activeCropStage(profile, date = new Date()) {
+  const day = localDateString(date);
+  let active = null;
+  profile.stages.forEach((stage) => {
+    if (stage.start <= day) active = stage;
+  });
+  return active;
+}
+
+function localDateString(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// What a tank growing this crop should run now: { value, name, stage, min, max }
+function cropTarget(id, date = new Date()) {
+  const profile = getCropProfile(id);
+  if (!profile) return null;
+  const stage = activeCropStage(profile, date);
+  return {
+    value: id,
+    name: profile.name,
+    stage: stage ? stage.name : null,
+    min: stage ? stage.min : profile.min,
+    max: stage ? stage.max : profile.max,
+  };
+}
+
+// Crop name with the growth stage, as shown in cards and the range history
+function cropLabel(crop) {
+  return crop.stage ? `${crop.name} · ${crop.stage}` : crop.name;
+}
+
+// Switch a tank to a crop target: persist it, note the range in the tank's
+// range history and the audit log, show it when the tank is open and send it
+// to its device. action and operator are for the audit log.
+function applyTankCrop(tank, crop, action, operator = currentOperator()) {
+  const previous = tank.crop;
+  tank.crop = crop;
+  saveTanks();
+  recordRangeChange(crop.min, crop.max, cropLabel(crop), tank);
+  logAudit("crop", action, `${describeCrop(previous)} → ${describeCrop(crop)}`, {
+    tank: tank,
+    operator: operator,
+  });
+
+  if (tank === activeTank) {
+    renderTankCrop();
+    updateChart();
+    // judge the current value against the new range
+    const currentPH = parseFloat(document.getElementById("phValue").textContent);
+    if (!isNaN(currentPH)) updatePHDisplay(currentPH);
+    renderDeviceConfig();
+  }
+  renderTankCard(tank);
+
+  // queued while reconnecting; the demo device takes it as well
+  if (tank === activeTank ? canSendCommands() : tank.link.state !== "disconnected") {
+    sendPHRangeToArduino(crop.min, crop.max, tank);
+  }
+}
+
+// Move every tank to the range its crop calls for today (a stage started,
+// or the profile was edited by operator)
+function advanceCropStages(operator = "schedule") {
+  tanks.forEach((tank) => {
+    const target = cropTarget(tank.crop.value);
+    if (!target) return; // crop deleted; keep running the last range
+    const crop = tank.crop;
+    if (
+      target.min !== crop.min ||
+      target.max !== crop.max ||
+      target.stage !== (crop.stage || null) ||
+      target.name !== crop.name
+    ) {
+      const stageChanged = target.stage !== (crop.stage || null);
+      if (stageChanged) {
+        console.log(`${tank.name}: ${target.name} now in stage ${target.stage || "(base range)"}`);
+      }
+      applyTankCrop(
+        tank,
+        target,
+        stageChanged ? "Growth stage changed" : "Crop profile applied",
+        operator
+      );
+    }
+  });
+}
+
+// Fill the crop selector from the profiles
+function renderCropSelector() {
+  const selector = document.getElementById("cropSelector");
+  selector.innerHTML = "";
+  const groups = new Map();
+  allCropProfiles().forEach((profile) => {
+    const group = profile.group || CUSTOM_CROP_GROUP;
+    if (!groups.has(group)) {
+      const optgroup = document.createElement("optgroup");
+      optgroup.label = group;
+      groups.set(group, optgroup);
+      selector.appendChild(optgroup);
+    }
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    groups.get(group).appendChild(option);
+  });
+  if (activeTank) selector.value = activeTank.crop.value;
+}
+
+// Crop password (set with the lock button next to the crop selector);
+// true when none is set or the right one was entered
+function checkCropPassword(message) {
+  const stored = localStorage.getItem("cropProtectPassword");
+  if (!stored) return true;
+  if (prompt(message) === stored) return true;
+  logAudit("password", "Wrong password", "crop profile change refused");
+  alert("Incorrect password.");
+  return false;
+}
+
+// Profile editor
+let editedCropId = null; // crop shown in the editor, null for a new one
+
+function renderCropProfileSelect() {
+  const select = document.getElementById("cropProfileSelect");
+  select.innerHTML = "";
+  allCropProfiles().forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent =
+      profile.name + (profile.edited ? " (edited)" : profile.builtin ? "" : " (custom)");
+    select.appendChild(option);
+  });
+  if (editedCropId) select.value = editedCropId;
+}
+
+function addStageRow(stage = {}) {
+  const list = document.getElementById("cropStages");
+  const row = document.createElement("div");
+  row.className = "crop-stage-row";
+  row.innerHTML = `
+        <input name="stageName" type="text" placeholder="Stage" required>
+        <input name="stageStart" type="date" required>
+        <input name="stageMin" type="number" step="0.1" min="0" max="14" placeholder="pH min" required>
+        <input name="stageMax" type="number" step="0.1" min="0" max="14" placeholder="pH max" required>
+        <button type="button" class="btn-time" data-stage-remove title="Remove stage">✕</button>
+    `;
+  const count = list.children.length;
+  row.querySelector('[name="stageName"]').value =
+    stage.name || STAGE_NAME_SUGGESTIONS[count] || `Stage ${count + 1}`;
+  row.querySelector('[name="stageStart"]').value = stage.start || localDateString(new Date());
+  row.querySelector('[name="stageMin"]').value = stage.min ?? "";
+  row.querySelector('[name="stageMax"]').value = stage.max ?? "";
+  list.appendChild(row);
+}
+
+// Show a profile in the editor (null: a blank form for a new crop)
+function editCropProfile(id) {
+  const form = document.getElementById("cropProfileForm");
+  const profile = id ? getCropProfile(id) : null;
+  editedCropId = profile ? id : null;
+
+  form.cropName.value = profile ? profile.name : "";
+  form.cropGroup.value = profile ? profile.group : CUSTOM_CROP_GROUP;
+  form.cropGroup.disabled = !!(profile && profile.builtin);
+  form.cropIcon.value = profile ? profile.icon || "" : "🌱";
+  form.cropMin.value = profile ? profile.min : "";
+  form.cropMax.value = profile ? profile.max : "";
+  document.getElementById("cropStages").innerHTML = "";
+  (profile ? profile.stages : []).forEach((stage) => addStageRow(stage));
+
+  const remove = document.getElementById("btnRemoveCrop");
+  remove.textContent = profile && profile.builtin ? "Reset to Default" : "Delete Crop";
+  remove.disabled = !profile || (profile.builtin && !profile.edited);
+  renderCropProfileNote(profile);
+  renderCropProfileSelect();
+}
+
+// Which tanks grow the crop and which stage is in effect
+function renderCropProfileNote(profile) {
+  const note = document.getElementById("cropProfileNote");
+  if (!profile) {
+    note.textContent = "New crop";
+    return;
+  }
+  const users = tanks.filter((t) => t.crop.value === profile.id).map((t) => t.name);
+  const stage = activeCropStage(profile);
+  const next = profile.stages.find((s) => s.start > localDateString(new Date()));
+  note.textContent = [
+    users.length ? "Grown in " + users.join(", ") : "Not grown in any tank",
+    stage ? `stage now: ${stage.name}` : profile.stages.length ? "before the first stage" : null,
+    next ? `next: ${next.name} on ${next.start}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// Read and check the editor form; alerts and returns null when invalid
+function readCropProfileForm(form) {
+  const name = form.cropName.value.trim();
+  const min = parseFloat(form.cropMin.value);
+  const max = parseFloat(form.cropMax.value);
+  if (!name) {
+    alert("Enter a crop name.");
+    return null;
+  }
+  if (!validRange(min, max)) {
+    alert("The pH range needs a minimum below the maximum, both between 0 and 14.");
+    return null;
+  }
+
+  const stages = [...document.querySelectorAll("#cropStages .crop-stage-row")].map((row) => ({
+    name: row.querySelector('[name="stageName"]').value.trim(),
+    start: row.querySelector('[name="stageStart"]').value,
+    min: parseFloat(row.querySelector('[name="stageMin"]').value),
+    max: parseFloat(row.querySelector('[name="stageMax"]').value),
+  }));
+  for (const stage of stages) {
+    if (!stage.name || !/^\d{4}-\d{2}-\d{2}$/.test(stage.start)) {
+      alert("Every growth stage needs a name and a start date.");
+      return null;
+    }
+    if (!validRange(stage.min, stage.max)) {
+      alert(`Stage ${stage.name}: the pH minimum must be below the maximum, both between 0 and 14.`);
+      return null;
+    }
+  }
+  stages.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  if (stages.some((stage, i) => i > 0 && stage.start === stages[i - 1].start)) {
+    alert("Two growth stages can't start on the same day.");
+    return null;
+  }
+
+  return {
+    name: name,
+    group: form.cropGroup.value.trim() || CUSTOM_CROP_GROUP,
+    icon: form.cropIcon.value.trim(),
+    min: min,
+    max: max,
+    stages: stages,
+  };
+}
+
+function validRange(min, max) {
+  return !isNaN(min) && !isNaN(max) && min >= 0 && max <= 14 && min < max;
+}
+
+// Store the edited profile; tanks growing it move to its new range (and
+// their devices get it) straight away
+function saveCropProfile(profile) {
+  const id = editedCropId || "custom-" + Date.now().toString(36);
+  const users = tanks.filter((t) => t.crop.value === id);
+  if (users.length) {
+    if (!checkCropPassword("Enter password to change the crop profile:")) return;
+    if (
+      !confirm(
+        `${profile.name} is grown in ${users.map((t) => t.name).join(", ")}. ` +
+          "Their pH range follows the new profile, which may trigger pumps."
+      )
+    ) {
+      return;
+    }
+  }
+
+  if (BUILTIN_CROPS[id]) profile.group = BUILTIN_CROPS[id].group;
+  cropProfiles[id] = profile;
+  saveCropProfiles();
+  logAudit(
+    "crop",
+    editedCropId ? "Crop profile saved" : "Crop profile added",
+    `${profile.name}, pH ${profile.min.toFixed(1)} - ${profile.max.toFixed(1)}` +
+      profile.stages.map((st) => `; ${st.name} from ${st.start}: ${st.min} - ${st.max}`).join("")
+  );
+  renderCropSelector();
+  advanceCropStages(currentOperator());
+  editCropProfile(id);
+}
+
+// Built-in crops go back to their defaults; user crops are deleted unless a
+// tank still grows them
+function removeCropProfile(id) {
+  const profile = getCropProfile(id);
+  if (!profile) return;
+  const users = tanks.filter((t) => t.crop.value === id);
+  if (!profile.builtin && users.length) {
+    alert(`${profile.name} is still grown in ${users.map((t) => t.name).join(", ")}.`);
+    return;
+  }
+  const question = profile.builtin
+    ? `Reset ${profile.name} to its default range and remove its growth stages?`
+    : `Delete ${profile.name}?`;
+  if (!confirm(question)) return;
+  if (users.length && !checkCropPassword("Enter password to change the crop profile:")) return;
+
+  delete cropProfiles[id];
+  saveCropProfiles();
+  logAudit("crop", profile.builtin ? "Crop profile reset" : "Crop profile deleted", profile.name);
+  renderCropSelector();
+  advanceCropStages(currentOperator());
+  editCropProfile(profile.builtin ? id : activeTank.crop.value);
+}
+
+function initCropProfiles() {
+  const form = document.getElementById("cropProfileForm");
+  const cropImage = document.getElementById("cropImage");
+  const cropIcon = document.getElementById("cropIcon");
+
+  // crops without a picture show their icon
+  cropImage.addEventListener("error", function () {
+    cropImage.style.display = "none";
+    cropIcon.style.display = "";
+  });
+  cropImage.addEventListener("load", function () {
+    cropImage.style.display = "";
+    cropIcon.style.display = "none";
+  });
+
+  document.getElementById("cropProfileSelect").addEventListener("change", function () {
+    editCropProfile(this.value);
+  });
+  document.getElementById("btnNewCrop").addEventListener("click", () => editCropProfile(null));
+  document.getElementById("btnAddStage").addEventListener("click", () => addStageRow());
+  document.getElementById("cropStages").addEventListener("click", function (e) {
+    if (e.target.dataset.stageRemove !== undefined) e.target.closest(".crop-stage-row").remove();
+  });
+  document.getElementById("btnRemoveCrop").addEventListener("click", function () {
+    if (editedCropId) removeCropProfile(editedCropId);
+  });
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    const profile = readCropProfileForm(form);
+    if (profile) saveCropProfile(profile);
+  });
+
+  editCropProfile(activeTank.crop.value);
+  // stages start at midnight; check every minute
+  setInterval(advanceCropStages, CROP_STAGE_CHECK_MS);
+}
+
+// ==========================================
+// Tanks
+// ==========================================
+// Each reservoir is a tank with its own device (serial link and what it
+// reported), crop, history store, pump log, pump settings, calibration history
+// and alarms. Every tank's lines go through the same handlers
+// (handleSerialLine()), which store readings and doses, evaluate alarms and
+// keep the tank's status card in the overview grid current; the dashboard
+// shows one tank in full, activeTank, and only it is drawn beyond its card.
+// Only the alarm rules are shared.
+// The first tank keeps the storage keys of the single-tank dashboard, so
+// existing data needs no migration.
+const TANKS_KEY = "ecosterile_tanks";
+const ACTIVE_TANK_KEY = "ecosterile_active_tank";
+const FIRST_TANK_ID = "tank-1";
+const TANK_CARD_REFRESH_MS = 10 * 1000;
+
+let tanks = []; // every registered tank, see createTank()
+let activeTank = null; // the tank shown in the dashboard
+
+// localStorage key of per-tank data (the first tank uses the plain key)
+function tankStorageKey(key, tank = activeTank) {
+  return tank.id === FIRST_TANK_ID ? key : `${key}:${tank.id}`;
+}
+
+function tankDbName(id) {
+  return id === FIRST_TANK_ID ? HISTORY_DB_NAME : `${HISTORY_DB_NAME}-${id}`;
+}
+
+// What a tank's device reported (see handleDeviceMessage())
+function createDeviceState() {
+  return {
+    status: null, // last {"type":"status"} reply
+    config: null, // last {"type":"config"} line (persisted device settings)
+    mode: null, // operating mode, null when not connected
+    lockout: null, // { reason, pump } while the safety lockout is latched
+    activePump: null, // { type, startedAt, source } while a pump "start" has no "stop" yet
+  };
+}
+
+// record is what TANKS_KEY stores: { id, name, crop, usb }
+function createTank(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    crop: record.crop, // { value, name, stage, min, max }, see cropTarget()
+    usb: record.usb || null, // { vendorId, productId } of its device's port
+    store: createHistoryStore(tankDbName(record.id)),
+    link: createSerialLink(),
+    device: createDeviceState(),
+    pumps: loadPumpSettings(record), // flow rates and reservoirs, see updateDoseInfo()
+    sensor: createSensorState(), // probe faults, see checkSensorReading()
+    alarms: createAlarmState(), // see evaluateAlarms()
+    latest: null, // { pH, temp, at } of the newest reading
+    lastDose: null, // newest pump log entry (the open tank uses phData.lastPump)
+  };
+}
+
+function saveTanks() {
+  localStorage.setItem(
+    TANKS_KEY,
+    JSON.stringify(tanks.map(({ id, name, crop, usb }) => ({ id, name, crop, usb })))
+  );
+}
+
+// Crop of a new tank: the first built-in crop
+function defaultCrop() {
+  return cropTarget(Object.keys(BUILTIN_CROPS)[0]);
+}
+
+// USB ids of the port a tank's device was connected to, so it can be found
+// again after a reload (see findTankPort())
+function rememberTankPort(tank, port) {
+  const info = port.getInfo ? port.getInfo() : {};
+  tank.usb =
+    info.usbVendorId !== undefined
+      ? { vendorId: info.usbVendorId, productId: info.usbProductId }
+      : null;
+  saveTanks();
+}
+
+// Load the registry (a fresh install or an upgrade from the single-tank
+// dashboard starts with one tank) and pick the tank to show. Its history
+// store is opened by initHistoryStore(), the others' here.
+async function initTanks() {
+  let records = [];
+  try {
+    records = JSON.parse(localStorage.getItem(TANKS_KEY)) || [];
+  } catch (e) {
+    console.warn("Tank list unreadable, starting with one tank");
+  }
+  if (records.length === 0) records = [{ id: FIRST_TANK_ID, name: "Tank 1" }];
+  tanks = records.map(createTank);
+  // a growth stage may have started while the dashboard was closed
+  tanks.forEach((tank) => {
+    const previous = tank.crop;
+    tank.crop = (previous && cropTarget(previous.value)) || previous || defaultCrop();
+    recordRangeChange(tank.crop.min, tank.crop.max, cropLabel(tank.crop), tank);
+    if (previous && describeCrop(previous) !== describeCrop(tank.crop)) {
+      const change = `${describeCrop(previous)} → ${describeCrop(tank.crop)}`;
+      logAudit("crop", "Growth stage changed", change, { tank: tank, operator: "schedule" });
+    }
+  });
+  saveTanks();
+
+  activeTank = tanks.find((t) => t.id === localStorage.getItem(ACTIVE_TANK_KEY)) || tanks[0];
+  historyStore = activeTank.store;
+  await Promise.all(tanks.filter((t) => t !== activeTank).map(openTankStore));
+}
+
+// Open a background tank's store and read what its card shows
+async function openTankStore(tank) {
+  try {
+    await tank.store.open();
+    await tank.store.prune(loadRetention());
+    await loadTankSummary(tank);
+  } catch (err) {
+    console.error(`History of ${tank.name} unavailable:`, err);
+    tank.store.db = null;
+  }
+}
+
+async function loadTankSummary(tank) {
+  if (!tank.store.db) return;
+  const reading = await tank.store.getLast("readings");
+  if (reading) tank.latest = { pH: reading.ph, temp: reading.temp ?? null, at: new Date(reading.t) };
+  const dose = await tank.store.getLast("pumpLog");
+  if (dose) tank.lastDose = dose;
+  const now = new Date();
+  const doses = await tank.store.getPumpEntries(new Date(now - 60 * 60 * 1000), now);
+  tank.alarms.doses = doses.map((log) => new Date(log.timestamp).getTime());
+}
+
+// Redraw what is drawn from phData: chart, last dose, pump log and statistics
+function renderTankData() {
+  updateChart();
+  updatePumpInfo();
+  updateLog();
+  updateStats();
+}
+
+// Show another tank in the dashboard. Its device (if connected) keeps
+// running; the tank that was open continues in the background.
+async function selectTank(tank) {
+  if (tank === activeTank) return true;
+  if (replay) {
+    alert("Stop the session replay before switching tanks.");
+    return false;
+  }
+
+  // lines that arrive meanwhile are stored like any other tank's
+  const data = createPHData();
+  if (tank.store.db) {
+    try {
+      await loadRecentHistory(tank.store, data);
+    } catch (err) {
+      console.error(`Failed to load history of ${tank.name}:`, err);
+    }
+  }
+
+  stopSimulation(); // the demo device belongs to the open tank
+  if (calibrationWizard) cancelCalibrationWizard();
+  if (activeTank.link.state === "disconnected") {
+    // its demo data stops here, so nothing it raised can clear any more
+    resetSensorFaults(activeTank);
+    resetAlarmState(activeTank);
+  }
+  activeTank = tank;
+  localStorage.setItem(ACTIVE_TANK_KEY, tank.id);
+  historyStore = tank.store;
+  phData = data;
+  loadData();
+  if (!historyStore.db) loadLegacySnapshot();
+  // background doses only reached the history store
+  if (phData.pumpLog.length) phData.lastPump = phData.pumpLog[phData.pumpLog.length - 1];
+
+  arduinoConnected = tank.link.state === "connected";
+  renderDeviceMode();
+  renderLockout();
+  renderSensorFault();
+  renderTankCrop();
+  recordRangeChange(optimalPHMin, optimalPHMax, cropLabel(tank.crop));
+  renderActiveTankName();
+  if (tank.latest) {
+    updatePHDisplay(tank.latest.pH);
+    updateTempDisplay(tank.latest.temp);
+  } else {
+    document.getElementById("phValue").textContent = "--";
+    document.getElementById("phStatus").textContent = "--";
+    updateTempDisplay(null);
+  }
+  renderTankData();
+  renderDeviceConfig();
+  renderFilterForm();
+  renderControlForm();
+  renderLimitsForm();
+  renderPumpSettingsForm();
+  renderCalibrationHistory();
+  renderLinkStats();
+  renderProtocolWarning();
+  showDeviceMessage("--");
+  updateArduinoStatus();
+  renderTankCards();
+  logConsoleLine("in", `--- ${tank.name} ---`, "unparsed");
+
+  if (tank.link.state === "disconnected") startSimulation();
+  else if (tank.link.state === "connected" && !tank.device.config) sendArduinoCommand("CONFIG");
+  return true;
+}
+
+// Show the open tank's crop: selector, range, image and the range readings
+// are judged against
+function renderTankCrop() {
+  const crop = activeTank.crop;
+  const profile = getCropProfile(crop.value);
+  const cropImage = document.getElementById("cropImage");
+  const cropIcon = document.getElementById("cropIcon");
+  optimalPHMin = crop.min;
+  optimalPHMax = crop.max;
+  document.getElementById("cropSelector").value = crop.value;
+  document.getElementById("optimalPHRange").textContent =
+    `${crop.min.toFixed(1)} - ${crop.max.toFixed(1)}` + (crop.stage ? ` (${crop.stage})` : "");
+  if (cropIcon) cropIcon.textContent = (profile && profile.icon) || "🌱";
+  if (cropImage) {
+    cropImage.src = `images/${crop.value}.png`;
+    cropImage.alt = cropLabel(crop);
+    cropImage.title = cropLabel(crop);
+  }
+}
+
+function renderActiveTankName() {
+  const el = document.getElementById("activeTankName");
+  if (el) el.textContent = activeTank.name;
+}
+
+// Overview grid: one card per tank, the open one highlighted
+function renderTankCards() {
+  const grid = document.getElementById("tankGrid");
+  if (!grid) return;
+  grid.innerHTML = "";
+  tanks.forEach((tank) => {
+    const card = document.createElement("div");
+    card.className = "tank-card";
+    card.id = "tankCard-" + tank.id;
+    card.dataset.tank = tank.id;
+    card.title = "Show this tank";
+    grid.appendChild(card);
+    renderTankCard(tank);
+  });
+}
+
+function renderTankCard(tank) {
+  const card = document.getElementById("tankCard-" + tank.id);
+  if (!card) return;
+  const open = tank === activeTank;
+  const device = tank.device;
+  const fault = activeSensorFault(tank);
+  const alarmCount = Object.keys(tank.alarms.active).length;
+  const state = tank.link.state;
+  const latest = tank.latest;
+  const lastDose = open ? phData.lastPump : tank.lastDose;
+  const { min, max } = tank.crop;
+
+  let phClass = "";
+  if (latest) phClass = latest.pH < min ? "low" : latest.pH > max ? "high" : "ok";
+  const problems = [];
+  if (state === "reconnecting") problems.push("🔌 Connection lost");
+  if (device.lockout) problems.push("🔒 " + describeLockout(device.lockout));
+  if (fault) {
+    problems.push("⚠️ Sensor fault: " + (SENSOR_FAULT_LABELS[fault.fault] || fault.fault));
+  }
+  if (alarmCount) problems.push(`🚨 ${alarmCount} active alarm${alarmCount === 1 ? "" : "s"}`);
+  if (tank.link.protocolWarning) problems.push("⚠️ Firmware protocol mismatch");
+
+  const stateLabel =
+    state === "disconnected" ? (open && demoDevice ? "Demo" : "Disconnected") : SERIAL_STATE_LABELS[state];
+  const badgeClass =
+    state === "connected" ? "arduino-connected" : state === "disconnected" ? "offline" : state;
+  const meta = [];
+  if (latest && latest.temp !== null) meta.push(`🌡️ ${latest.temp.toFixed(1)} °C`);
+  if (device.mode) meta.push(MODE_LABELS[device.mode]);
+  if (device.activePump) {
+    meta.push(device.activePump.type === "basic" ? "💧 Basic pump running" : "⚗️ Acidic pump running");
+  } else {
+    meta.push(lastDose ? "Last dose " + getTimeAgo(new Date(lastDose.timestamp)) : "No doses yet");
+  }
+
+  card.classList.toggle("active", open);
+  card.classList.toggle("alert", problems.length > 0 || phClass === "low" || phClass === "high");
+  card.innerHTML = `
+        <div class="tank-card-header">
+            <span class="tank-name"></span>
+            <span class="status-badge ${badgeClass}">${stateLabel}</span>
+        </div>
+        <div class="tank-ph ${phClass}">${latest ? latest.pH.toFixed(2) : "--"}</div>
+        <div class="tank-crop"></div>
+        <div class="tank-meta">${meta.join(" · ")}</div>
+        <div class="tank-meta">${latest ? "Updated " + getTimeAgo(latest.at) : "No readings yet"}</div>
+        ${problems.length ? `<div class="tank-problems">${problems.join("<br>")}</div>` : ""}
+        <div class="tank-actions">
+            <button type="button" class="btn-time" data-tank-action="connect"${
+              state === "connecting" || state === "replay" ? " disabled" : ""
+            }>${state === "disconnected" ? "Connect" : "Disconnect"}</button>
+            <button type="button" class="btn-time" data-tank-action="rename">Rename</button>
+            <button type="button" class="btn-time" data-tank-action="remove">Remove</button>
+        </div>
+    `;
+  // names are typed by the user, so they go in as text
+  card.querySelector(".tank-name").textContent = tank.name;
+  card.querySelector(".tank-crop").textContent =
+    `${cropLabel(tank.crop)} · pH ${min.toFixed(1)} - ${max.toFixed(1)}`;
+}
+
+async function addTank() {
+  const name = prompt("Name of the new tank:", `Tank ${tanks.length + 1}`);
+  if (!name || !name.trim()) return;
+  const tank = createTank({
+    id: "tank-" + Date.now().toString(36),
+    name: name.trim(),
+    crop: defaultCrop(),
+  });
+  tanks.push(tank);
+  saveTanks();
+  await openTankStore(tank);
+  renderTankCards();
+  // open it so its crop can be chosen straight away
+  await selectTank(tank);
+}
+
+function renameTank(tank) {
+  const name = prompt("Tank name:", tank.name);
+  if (!name || !name.trim()) return;
+  tank.name = name.trim();
+  saveTanks();
+  renderTankCard(tank);
+  if (tank === activeTank) renderActiveTankName();
+}
+
+// Unregister a tank and delete its history
+async function removeTank(tank) {
+  if (tanks.length === 1) {
+    alert("The last tank can't be removed.");
+    return;
+  }
+  if (!confirm(`Remove ${tank.name}? Its readings, pump log, crop range history, pump settings and calibration history are deleted.`)) {
+    return;
+  }
+  if (tank === activeTank && !(await selectTank(tanks.find((t) => t !== tank)))) return;
+
+  await disconnectArduino(tank);
+  tanks = tanks.filter((t) => t !== tank);
+  saveTanks();
+  if (tank.store.db) tank.store.db.close();
+  if ("indexedDB" in window) {
+    idbRequest(indexedDB.deleteDatabase(tank.store.name)).catch((err) =>
+      console.error(`Failed to delete the history of ${tank.name}:`, err)
+    );
+  }
+  [DATA_KEY, RANGE_HISTORY_KEY, PUMP_SETTINGS_KEY, CALIBRATION_HISTORY_KEY].forEach((key) =>
+    localStorage.removeItem(tankStorageKey(key, tank))
+  );
+  renderTankCards();
+  renderAlarms();
+}
+
+function initTankOverview() {
+  const grid = document.getElementById("tankGrid");
+  grid.addEventListener("click", async function (e) {
+    const card = e.target.closest(".tank-card");
+    const tank = card && tanks.find((t) => t.id === card.dataset.tank);
+    if (!tank) return;
+    switch (e.target.dataset.tankAction) {
+      case "connect":
+        if (tank.link.state === "disconnected") connectArduino(tank);
+        else disconnectArduino(tank);
+        break;
+      case "rename":
+        renameTank(tank);
+        break;
+      case "remove":
+        removeTank(tank);
+        break;
+      default:
+        // drill into the tank
+        if (await selectTank(tank)) {
+          document.querySelector(".dashboard-grid").scrollIntoView({ behavior: "smooth" });
+        }
+    }
+  });
+  document.getElementById("btnAddTank").addEventListener("click", addTank);
+
+  renderActiveTankName();
+  renderTankCards();
+  // "updated ... ago" and lost readings
+  setInterval(() => tanks.forEach(renderTankCard), TANK_CARD_REFRESH_MS);
+}
+
+// ==========================================
+// Arduino Serial Connection
+// ==========================================
+// Every tank has its own serial link. connectArduino() asks the user for a
+// port; ports granted earlier are reopened automatically on page load and
+// when the cable comes back after being unplugged. Settings commands issued
+// while a link is being re-established wait in its queue and are sent once
+// the device is reporting again (see isQueueableCommand()).
+const BAUD_RATE_KEY = "ecosterile_baud_rate";
+const DEFAULT_BAUD_RATE = 9600; // Serial.begin() in Arduino.cpp
+const RECONNECT_INTERVAL_MS = 3000;
+const COMMAND_QUEUE_LIMIT = 50;
+
+const SERIAL_STATE_LABELS = {
+  connecting: "Connecting...",
+  connected: "Connected (Live)",
+  reconnecting: "Reconnecting...",
+  replay: "Replaying Session",
+  disconnected: "Disconnected (Demo)",
+};
+
+// Connection to one tank's device
+function createSerialLink() {
+  return {
+    state: "disconnected", // "connecting" | "connected" | "reconnecting" | "replay"
+    port: null, // the open port
+    lastPort: null, // port to reopen after the connection drops
+    reader: null, // active reader; cancelling it closes the connection
+    disconnectRequested: false, // the user asked to close the port
+    reconnectTimer: null,
+    queue: [], // commands waiting for the connection to come back
+    writeChain: Promise.resolve(), // serializes writes so the writer lock is never contended
+    synced: false, // crop range pushed to the device since it last booted
+    // message checks, see checkSequence() in protocol.js
+    stats: createLinkStats(),
+    lastSeq: null, // seq of the last accepted message, null until the first one
+    protocol: null, // { protocol, firmware } from the device's hello
+    protocolWarning: null,
+    handshakeTimers: [],
+  };
+}
+
+function loadBaudRate() {
+  const baud = parseInt(localStorage.getItem(BAUD_RATE_KEY), 10);
+  return baud > 0 ? baud : DEFAULT_BAUD_RATE;
+}
+
+// Settings commands are accepted while connected, while reconnecting (they
+// are queued) and by the demo device; anything that moves a pump needs the
+// live connection
+function canSendCommands() {
+  const state = activeTank.link.state;
+  return state === "connected" || state === "reconnecting" || demoDevice !== null;
+}
+
+// Update Arduino connection status in the UI
+function updateArduinoStatus() {
+  const el = document.getElementById("arduinoStatus");
+  const btn = document.getElementById("connectBtn");
+  if (!el || !btn) return;
+  const state = activeTank.link.state;
+  el.textContent = SERIAL_STATE_LABELS[state];
+  el.classList.toggle("arduino-connected", state === "connected");
+  el.classList.toggle("replay", state === "replay");
+  el.classList.toggle("reconnecting", state === "reconnecting");
+  el.classList.toggle("offline", state === "disconnected");
+  btn.textContent = state === "disconnected" ? "Connect Arduino" : "Disconnect Arduino";
+  btn.disabled = state === "connecting" || state === "replay";
+  renderDeviceMode();
+}
+
+// A tank's connection changed: its card, and the status bar when it is open
+function renderLinkState(tank) {
+  if (tank === activeTank) updateArduinoStatus();
+  renderTankCard(tank);
+}
+
+// ==========================================
+// Device Command Protocol
+// ==========================================
+// Commands are single text lines (NAME or NAME:args) parsed by handleCommand()
+// in Arduino.cpp. The firmware answers each one with an "ack" or "error"
+// message (HELLO, STATUS and CONFIG with their report); everything it sends
+// is described by MESSAGE_SCHEMA in protocol.js.
+
+// Send one command line to the device of the open tank
+function sendArduinoCommand(command) {
+  return sendTankCommand(activeTank, command);
+}
+
+// Send one command line to a tank's device. While reconnecting the command is
+// queued for the restored connection; in demo mode it goes to the simulator
+// and during a replay it is only shown in the console. The serial console
+// shows the open tank's link only. Resolves to "sent", "queued" or "failed".
+function sendTankCommand(tank, command) {
+  const link = tank.link;
+  const shown = tank === activeTank;
+  if (shown && demoDevice) {
+    demoDevice.write(command);
+    logConsoleLine("out", command, "sent");
+    return Promise.resolve("sent");
+  }
+  if (link.state === "replay") {
+    // nothing to talk to: show what the dashboard would have sent
+    logConsoleLine("out", command + "  (replay: not sent)", "error");
+    return Promise.resolve("failed");
+  }
+  if (link.state !== "connected" || !link.port || !link.port.writable) {
+    const waiting = link.state === "reconnecting" || link.state === "connecting";
+    return Promise.resolve(waiting && queueCommand(tank, command) ? "queued" : "failed");
+  }
+  const port = link.port;
+  const encoder = new TextEncoder();
+
+  link.writeChain = link.writeChain.then(async () => {
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(encoder.encode(command + "\n"));
+      console.log(`Sent to ${tank.name}:`, command);
+      if (tank === activeTank) logConsoleLine("out", command, "sent");
+      return "sent";
+    } catch (err) {
+      console.error(`Failed to send command to ${tank.name}:`, command, err);
+      // a write failing usually means the port is going away; retry settings later
+      if (!queueCommand(tank, command)) return "failed";
+      if (tank === activeTank) showDeviceMessage("Could not send " + command + " (queued)", "error");
+      return "queued";
+    } finally {
+      writer.releaseLock();
+    }
+  });
+  return link.writeChain;
+}
+
+// Settings and queries can safely arrive late. Commands that move pumps or
+// clear a lockout (DOSE, PRIME, STOP, RESET_LOCKOUT) can't: a dose the
+// operator saw fail must not run minutes later, and an old STOP must not
+// land after newer commands.
+function isQueueableCommand(command) {
+  return /^(SET_[A-Z_]+:|CONFIG$|HELLO$)/.test(command);
+}
+
+// Queue a command for when the link is back; returns false (and tells the
+// operator) when the command is dropped instead
+function queueCommand(tank, command) {
+  if (!isQueueableCommand(command)) {
+    console.warn(`Dropped for ${tank.name} (not connected):`, command);
+    if (tank === activeTank) {
+      showDeviceMessage(command + " not sent: the device is not connected", "error");
+    }
+    return false;
+  }
+  const queue = tank.link.queue;
+  queue.push(command);
+  // keep the newest commands when the link stays down for a long time
+  if (queue.length > COMMAND_QUEUE_LIMIT) queue.shift();
+  console.log(`Queued for ${tank.name}:`, command);
+  return true;
+}
+
+// Send everything queued while the connection was down, oldest first
+function flushCommandQueue(tank) {
+  const queued = tank.link.queue;
+  if (queued.length === 0) return;
+  tank.link.queue = [];
+  console.log(`Sending ${queued.length} queued command(s) to ${tank.name}`);
+  queued.forEach((command) => sendTankCommand(tank, command));
+}
+
+// Push a crop pH range to the firmware hysteresis thresholds
+function sendPHRangeToArduino(minPH, maxPH, tank = activeTank) {
+  return sendTankCommand(tank, `SET_PH_RANGE:${minPH},${maxPH}`);
+}
+
+// First reading after boot: push the tank's crop range unless the device
+// already has it stored, then fetch its configuration
+function syncDevice(tank) {
+  const config = tank.device.config;
+  tank.link.synced = true;
+  const { min, max } = tank.crop;
+  if (!deviceHasRange(min, max, config)) {
+    sendPHRangeToArduino(min, max, tank);
+  } else if (!config) {
+    sendTankCommand(tank, "CONFIG");
+  }
+  // the device is listening now, so anything queued can go out
+  flushCommandQueue(tank);
+}
+
+// Show the latest device reply next to the connection status
+function showDeviceMessage(text, kind = "info") {
+  const el = document.getElementById("deviceMessage");
+  if (!el) return;
+  el.textContent = text;
+  el.className = "device-message " + kind;
+}
+
+// Show the device's persisted configuration next to the selected crop range
+function renderDeviceConfig() {
+  const el = document.getElementById("deviceConfig");
+  if (!el) return;
+  const c = activeTank.device.config;
+
+  if (!c) {
+    el.textContent = arduinoConnected
+      ? "Device config: waiting for device..."
+      : "Device config: not connected";
+    el.classList.remove("mismatch");
+    return;
+  }
+
+  const min = Number(c.min);
+  const max = Number(c.max);
+  const matchesCrop =
+    Math.abs(min - optimalPHMin) < 0.005 && Math.abs(max - optimalPHMax) < 0.005;
+
+  el.textContent =
+    `Device: pH ${min.toFixed(2)} - ${max.toFixed(2)} · ` +
+    (c.control === "proportional"
+      ? `proportional Kp ${c.kp} Ki ${c.ki} · `
+      : `burst ${c.burstMs} ms · gap ${Math.round(c.gapMs / 1000)} s · `) +
+    `slope ${Number(c.slope).toFixed(3)}` +
+    (c.filter ? ` · filter ${describeFilter(c)}` : "") +
+    (c.tempSensor ? ` · cal @ ${Number(c.calTemp).toFixed(1)} °C` : "") +
+    (c.source === "defaults" ? " (defaults)" : "") +
+    (matchesCrop ? "" : " ⚠️ differs from crop");
+  el.title = Array.isArray(c.cal)
+    ? "Calibration points: " +
+      c.cal.map(([ph, v]) => `pH ${ph} @ ${v} V`).join(", ")
+    : "";
+  el.classList.toggle("mismatch", !matchesCrop);
+}
+
+// Voltage filters accepted by SET_FILTER (see applyFilter() in Arduino.cpp)
+const FILTER_NAMES = { ma: "moving average", median: "median", trimmed: "trimmed mean" };
+const FILTER_MAX_WINDOW = 15; // FILTER_MAX_SIZE in Arduino.cpp
+
+function describeFilter(c) {
+  return c.filter === "ema"
+    ? `EMA α ${Number(c.alpha).toFixed(2)}`
+    : `${FILTER_NAMES[c.filter] || c.filter} of ${c.window}`;
+}
+
+// Window for the windowed filters, smoothing factor for EMA
+function updateFilterParamField(form) {
+  const ema = form.filterType.value === "ema";
+  document.getElementById("filterParamLabel").textContent = ema
+    ? "Smoothing α (0 - 1)"
+    : `Window (1 - ${FILTER_MAX_WINDOW} samples)`;
+  form.filterParam.step = ema ? "0.05" : "1";
+  form.filterParam.min = ema ? "0.05" : "1";
+  form.filterParam.max = ema ? "1" : String(FILTER_MAX_WINDOW);
+}
+
+// Show the filter the device runs (from its config line)
+function renderFilterForm() {
+  const form = document.getElementById("filterForm");
+  const c = activeTank.device.config;
+  if (!form || !c || !c.filter) return;
+  form.filterType.value = c.filter;
+  form.filterParam.value = c.filter === "ema" ? c.alpha : c.window;
+  updateFilterParamField(form);
+}
+
+function initFilterForm() {
+  const form = document.getElementById("filterForm");
+  if (!form) return;
+  updateFilterParamField(form);
+
+  form.filterType.addEventListener("change", function () {
+    updateFilterParamField(form);
+    form.filterParam.value = this.value === "ema" ? 0.2 : 10;
+  });
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    if (!canSendCommands()) {
+      alert("Connect the device to change its filter.");
+      return;
+    }
+    const type = form.filterType.value;
+    const param = parseFloat(form.filterParam.value);
+    const valid =
+      type === "ema"
+        ? param > 0 && param <= 1
+        : Number.isInteger(param) && param >= 1 && param <= FILTER_MAX_WINDOW;
+    if (!valid) {
+      alert(
+        type === "ema"
+          ? "Smoothing α must be between 0 and 1."
+          : `Window must be a whole number from 1 to ${FILTER_MAX_WINDOW}.`
+      );
+      return;
+    }
+    sendManualCommand(`SET_FILTER:${type},${param}`);
+  });
+}
+
+// Dosing controller (SET_CONTROL, plus SET_BURST/SET_GAP for fixed bursts)
+function renderControlForm() {
+  const form = document.getElementById("controlForm");
+  if (!form) return;
+  const c = activeTank.device.config;
+  if (c && c.control) {
+    form.controlType.value = c.control;
+    form.burstMs.value = c.burstMs;
+    form.gapSeconds.value = Math.round(c.gapMs / 1000);
+    form.kp.value = c.kp;
+    form.ki.value = c.ki;
+    form.maxBurstMs.value = c.maxBurstMs;
+  }
+  const proportional = form.controlType.value === "proportional";
+  form.querySelectorAll("[data-control]").forEach((el) => {
+    el.style.display =
+      el.dataset.control === (proportional ? "proportional" : "fixed") ? "" : "none";
+  });
+  renderMixingInfo();
+}
+
+function renderMixingInfo(responseMs) {
+  const el = document.getElementById("mixingInfo");
+  if (!el) return;
+  const c = activeTank.device.config;
+  if (!c || c.mixMs === undefined) {
+    el.textContent = "";
+    return;
+  }
+  el.textContent =
+    c.control === "proportional"
+      ? `Learned mixing delay: ${Math.round(c.mixMs / 1000)} s` +
+        (responseMs ? ` (last response after ${Math.round(responseMs / 1000)} s)` : "")
+      : "";
+}
+
+// {"type":"mixing"} after the device saw pH respond to a dose
+function handleMixingMessage(tank, obj) {
+  const config = tank.device.config;
+  if (config) config.mixMs = Number(obj.mixMs);
+  if (tank === activeTank) renderMixingInfo(Number(obj.responseMs));
+  console.log(`${tank.name}: pump response after`, obj.responseMs, "ms; mixing delay", obj.mixMs, "ms");
+}
+
+function initControlForm() {
+  const form = document.getElementById("controlForm");
+  if (!form) return;
+  form.controlType.addEventListener("change", renderControlForm);
+  renderControlForm();
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    if (!canSendCommands()) {
+      alert("Connect the device to change its dosing controller.");
+      return;
+    }
+    if (form.controlType.value === "fixed") {
+      const burst = parseInt(form.burstMs.value, 10);
+      const gap = parseFloat(form.gapSeconds.value);
+      if (isNaN(burst) || isNaN(gap)) {
+        alert("Enter a burst length and a gap.");
+        return;
+      }
+      sendManualCommand("SET_CONTROL:fixed");
+      sendManualCommand("SET_BURST:" + burst);
+      sendManualCommand("SET_GAP:" + Math.round(gap * 1000));
+    } else {
+      const kp = parseFloat(form.kp.value);
+      const ki = parseFloat(form.ki.value);
+      const maxBurst = parseInt(form.maxBurstMs.value, 10);
+      if (isNaN(kp) || isNaN(ki) || isNaN(maxBurst)) {
+        alert("Enter Kp, Ki and a maximum burst length.");
+        return;
+      }
+      // the device validates the bounds and answers with an error line
+      sendManualCommand(`SET_CONTROL:proportional,${kp},${ki},${maxBurst}`);
+    }
+  });
+}
+
+// True when the device (by its config line) already runs the given pH range
+function deviceHasRange(minPH, maxPH, config) {
+  return (
+    !!config &&
+    Math.abs(Number(config.min) - minPH) < 0.005 &&
+    Math.abs(Number(config.max) - maxPH) < 0.005
+  );
+}
+
+// Pump start/stop events from a tank's device; one dose is logged per "stop"
+function handlePumpEvent(tank, obj) {
+  if (obj.pump !== "basic" && obj.pump !== "acidic") {
+    console.warn("Unknown pump in event:", obj);
+    return;
+  }
+
+  // automatic doses are plain "device" entries; manual and prime runs keep their
+  // source. Simulated and replayed doses are "demo" and leave the reservoirs alone.
+  let source = obj.source === "manual" || obj.source === "prime" ? obj.source : "device";
+  if (tank.link.state !== "connected") source = "demo";
+
+  const device = tank.device;
+  if (obj.event === "start") {
+    device.activePump = { type: obj.pump, startedAt: new Date(), source: source };
+    if (tank === activeTank) updatePumpInfo();
+  } else if (obj.event === "stop") {
+    const started =
+      device.activePump && device.activePump.type === obj.pump ? device.activePump.startedAt : null;
+    device.activePump = null;
+    logPumpActivity(
+      obj.pump,
+      {
+        durationMs: Number(obj.durationMs) || null,
+        source: source,
+        startedAt: started || new Date(),
+      },
+      tank
+    );
+    console.log(`${tank.name} pump dose:`, obj.pump, obj.durationMs + " ms", source);
+  }
+}
+
+// Handle a typed protocol line (anything but a reading) from a tank's device
+function handleDeviceMessage(tank, obj) {
+  const device = tank.device;
+  const open = tank === activeTank;
+  switch (obj.type) {
+    case "hello":
+      handleHello(tank, obj);
+      break;
+    case "ack":
+      if (open) showDeviceMessage("✓ " + obj.cmd + " applied", "ok");
+      if (obj.cmd === "SET_CAL") confirmCalibration(tank);
+      // settings changed: refresh what the device now runs and has stored
+      sendTankCommand(tank, "CONFIG");
+      break;
+    case "error":
+      if (open) showDeviceMessage("✗ " + obj.cmd + ": " + obj.msg, "error");
+      if (obj.cmd === "SET_CAL") rejectCalibration(obj.msg, tank);
+      console.warn(`${tank.name} rejected command:`, obj);
+      break;
+    case "status":
+      device.status = obj;
+      if (obj.mode) setDeviceMode(tank, obj.mode);
+      if (obj.lockout) {
+        setDeviceLockout(
+          tank,
+          obj.lockout === "none" ? null : { reason: obj.lockout, pump: obj.lockoutPump }
+        );
+      }
+      if (open) {
+        showDeviceMessage(
+          `pH ${Number(obj.min).toFixed(2)} - ${Number(obj.max).toFixed(2)} · ` +
+            `burst ${obj.burstMs} ms · gap ${Math.round(obj.gapMs / 1000)} s`,
+          "info"
+        );
+      }
+      break;
+    case "pump":
+      handlePumpEvent(tank, obj);
+      break;
+    case "fault":
+      handleFaultMessage(obj, tank);
+      break;
+    case "mixing":
+      handleMixingMessage(tank, obj);
+      break;
+    case "lockout":
+      setDeviceLockout(tank, obj.active ? { reason: obj.reason, pump: obj.pump } : null);
+      break;
+    case "config":
+      device.config = obj;
+      if (obj.mode) setDeviceMode(tank, obj.mode);
+      if (open) {
+        renderDeviceConfig();
+        renderFilterForm();
+        renderControlForm();
+        renderLimitsForm();
+      }
+      console.log(`${tank.name} config:`, obj);
+      break;
+    default:
+      console.log("Unhandled device message:", obj);
+  }
+}
+
+// ==========================================
+// Serial Message Checks
+// ==========================================
+// Every line from a device goes through parseDeviceLine() and checkSequence()
+// (protocol.js) before anything acts on it; lines that fail are counted,
+// shown in the serial console and otherwise ignored.
+const HANDSHAKE_RETRY_MS = 3000; // ask with HELLO if the boot hello has not arrived
+const HANDSHAKE_TIMEOUT_MS = 8000; // then warn that the firmware never answered
+
+function resetLinkStats(tank) {
+  tank.link.stats = createLinkStats();
+  tank.link.lastSeq = null;
+  if (tank === activeTank) renderLinkStats();
+}
+
+// Counters of the open tank's link, in the serial console header
+function renderLinkStats() {
+  const el = document.getElementById("linkStats");
+  if (!el) return;
+  const { received, dropped, malformed, outOfOrder } = activeTank.link.stats;
+  el.textContent =
+    `${received} received · ${dropped} dropped · ${malformed} malformed · ${outOfOrder} out of order`;
+  el.classList.toggle("problem", dropped + malformed + outOfOrder > 0);
+}
+
+// Expect a hello from the board (it resets when the port opens); ask for one
+// if it does not come, and warn if the firmware never answers
+function startHandshake(tank) {
+  clearHandshake(tank);
+  const link = tank.link;
+  link.handshakeTimers = [
+    setTimeout(() => {
+      if (!link.protocol) sendTankCommand(tank, "HELLO");
+    }, HANDSHAKE_RETRY_MS),
+    setTimeout(() => {
+      if (!link.protocol) {
+        setProtocolWarning(
+          tank,
+          "The device did not answer the protocol handshake. Its firmware is probably " +
+            `older than protocol version ${PROTOCOL_VERSION}; upload the current Arduino sketch.`
+        );
+      }
+    }, HANDSHAKE_TIMEOUT_MS),
+  ];
+}
+
+function clearHandshake(tank) {
+  tank.link.handshakeTimers.forEach((timer) => clearTimeout(timer));
+  tank.link.handshakeTimers = [];
+  tank.link.protocol = null;
+  setProtocolWarning(tank, null);
+}
+
+function handleHello(tank, obj) {
+  const link = tank.link;
+  link.handshakeTimers.forEach((timer) => clearTimeout(timer));
+  link.handshakeTimers = [];
+  link.protocol = { protocol: obj.protocol, firmware: obj.firmware };
+  // seq 0 is the boot hello: the board restarted and lost the crop range sync
+  if (obj.seq === 0) link.synced = false;
+
+  if (obj.protocol !== PROTOCOL_VERSION) {
+    setProtocolWarning(
+      tank,
+      `Firmware "${obj.firmware}" speaks protocol version ${obj.protocol}, this dashboard ` +
+        `expects version ${PROTOCOL_VERSION}. Update the ` +
+        (obj.protocol < PROTOCOL_VERSION ? "Arduino sketch." : "dashboard.") +
+        " Messages that do not validate are ignored."
+    );
+  } else {
+    setProtocolWarning(tank, null);
+  }
+  console.log(`Device protocol (${tank.name}):`, link.protocol);
+}
+
+function setProtocolWarning(tank, text) {
+  tank.link.protocolWarning = text;
+  if (tank === activeTank) renderProtocolWarning();
+  renderTankCard(tank);
+}
+
+// Banner for the open tank's device
+function renderProtocolWarning() {
+  const el = document.getElementById("protocolWarning");
+  if (!el) return;
+  const text = activeTank.link.protocolWarning;
+  el.textContent = text ? "⚠️ " + text : "";
+  el.style.display = text ? "block" : "none";
+}
+
+// A line that is not JSON or does not fit the schema
+function rejectSerialLine(tank, line, reason, kind) {
+  tank.link.stats.malformed++;
+  console.warn(`Rejected line from ${tank.name} (${reason}):`, line);
+  if (tank === activeTank) {
+    logConsoleLine("in", line, kind, reason);
+    renderLinkStats();
+  }
+}
+
+// Count, parse, validate and sequence-check one line from a tank's device.
+// Returns the message, or null when it is to be ignored.
+function acceptDeviceLine(tank, line) {
+  const link = tank.link;
+  const shown = tank === activeTank; // the console shows the open tank's link
+  link.stats.received++;
+  const { message: obj, problem, kind } = parseDeviceLine(line);
+  if (problem) {
+    rejectSerialLine(tank, line, problem, kind);
+    return null;
+  }
+
+  const lost = checkSequence(link, obj.seq);
+  if (lost < 0) {
+    if (shown) {
+      logConsoleLine("in", line, "error", "out of order, ignored");
+      renderLinkStats();
+    }
+    return null;
+  }
+  if (shown) {
+    logConsoleLine(
+      "in",
+      line,
+      isDeviceErrorMessage(obj) ? "error" : "parsed",
+      lost > 0 ? `${lost} line(s) lost before this one` : ""
+    );
+    renderLinkStats();
+  }
+  return obj;
+}
+
+// Handle one line from a tank's device (for the open tank also the demo
+// simulator or a replay): readings go to handleReading() and every other
+// message to handleDeviceMessage()
+function handleSerialLine(tank, line) {
+  const obj = acceptDeviceLine(tank, line);
+  if (!obj) return;
+
+  if (obj.type === "reading") handleReading(tank, obj);
+  else handleDeviceMessage(tank, obj);
+  renderTankCard(tank);
+}
+
+function handleReading(tank, obj) {
+  const device = tank.device;
+  if (!tank.link.synced) syncDevice(tank);
+
+  // Voltage feeds the calibration wizard while it is open (on the open tank)
+  if (tank === activeTank && obj.voltage !== undefined) {
+    const voltage = parseFloat(obj.voltage);
+    if (!isNaN(voltage)) handleCalibrationVoltage(voltage);
+  }
+
+  // pH (and solution temperature when the device has a sensor)
+  if (obj.pH !== undefined) {
+    const pH = parseFloat(obj.pH);
+    const temp = obj.temp !== undefined ? parseFloat(obj.temp) : NaN;
+    const voltage = obj.voltage !== undefined ? parseFloat(obj.voltage) : NaN;
+    const rawPH = obj.rawPH !== undefined ? parseFloat(obj.rawPH) : NaN;
+    // a fault field means the device has one latched (it may have
+    // started before the dashboard connected)
+    if (obj.fault && !tank.sensor.faults.device) setSensorFault("device", obj.fault, tank);
+    if (obj.mode) setDeviceMode(tank, obj.mode);
+    if (obj.lockout && !device.lockout) {
+      setDeviceLockout(tank, { reason: obj.lockout, pump: "none" });
+    } else if (!obj.lockout && device.lockout) {
+      setDeviceLockout(tank, null);
+    }
+    if (!isNaN(pH)) {
+      addPHReading(
+        pH,
+        isNaN(temp) ? null : temp,
+        {
+          voltage: isNaN(voltage) ? null : voltage,
+          // readings while the probe is out for cleaning mean nothing
+          suspect: obj.suspect === true || obj.mode === "maintenance",
+          raw: isNaN(rawPH) ? null : rawPH,
+        },
+        tank
+      );
+      console.log(`${tank.name} pH reading:`, pH);
+    }
+  }
+
+  // Pump doses are logged from the typed "pump" events above;
+  // the pump/action fields on readings are informational only.
+}
+
+// Ask the user to pick a port (needs a user gesture) and open it
+// Ask the user for the port of a tank's device (the open tank by default)
+async function connectArduino(tank = activeTank) {
+  if (!("serial" in navigator)) {
+    alert("Web Serial API not supported in this browser. Use Chrome or Edge.");
+    return;
+  }
+
+  let port;
+  try {
+    console.log(`Requesting serial port for ${tank.name}...`);
+    port = await navigator.serial.requestPort();
+  } catch (error) {
+    // NotFoundError: the picker was closed without choosing a port
+    if (error.name === "NotFoundError") {
+      console.log("User cancelled the port request.");
+    } else {
+      alert("Could not connect to Arduino:\n" + (error.message || error));
+    }
+    return;
+  }
+  await openSerialPort(tank, port);
+}
+
+// Reopen a port the user granted earlier without showing the picker.
+// Resolves false when there is none or it cannot be opened.
+async function reconnectArduino(tank) {
+  if (!("serial" in navigator)) return false;
+  if (tank.link.state === "connected" || tank.link.state === "connecting") return false;
+  const port = await findTankPort(tank);
+  if (!port) return false;
+  return openSerialPort(tank, port, { quiet: true });
+}
+
+// The tank whose link has (or last had) this port, other than except
+function portOwner(port, except = null) {
+  return tanks.find((t) => t !== except && (t.link.port === port || t.link.lastPort === port));
+}
+
+// The granted port to reopen for a tank: the one it used last, otherwise the
+// only free port with the USB ids it was connected with before. Boards with
+// the same ids can't be told apart after a reload, so then nothing is picked
+// rather than risk sending one tank's crop range to another tank's device.
+async function findTankPort(tank) {
+  const ports = await navigator.serial.getPorts();
+  if (ports.includes(tank.link.lastPort)) return tank.link.lastPort;
+  const free = ports.filter((port) => !portOwner(port, tank));
+  // a tank that never remembered a port (older versions) when it is the only one
+  if (!tank.usb) return tanks.length === 1 ? free[0] || null : null;
+  const matches = free.filter((port) => {
+    const info = port.getInfo();
+    return info.usbVendorId === tank.usb.vendorId && info.usbProductId === tank.usb.productId;
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Open a port for a tank and start reading from it. quiet suppresses the
+// failure alert for automatic attempts.
+async function openSerialPort(tank, port, { quiet = false } = {}) {
+  const link = tank.link;
+  const owner = portOwner(port, tank);
+  if (owner) {
+    if (!quiet) alert(`That port belongs to ${owner.name}. Choose the port of ${tank.name}'s device.`);
+    return false;
+  }
+  const previousState = link.state;
+  const baudRate = loadBaudRate();
+  link.state = "connecting";
+  renderLinkState(tank);
+
+  try {
+    console.log(`Opening port for ${tank.name} at ${baudRate} baud...`);
+    await port.open({ baudRate });
+  } catch (error) {
+    console.error("Serial error:", error);
+    // keep retrying if this was one attempt of a reconnect
+    link.state = previousState === "reconnecting" ? "reconnecting" : "disconnected";
+    renderLinkState(tank);
+    const open = tank === activeTank;
+    if (!quiet) {
+      alert(
+        "Could not connect to Arduino:\n" + (error.message || error) + (open ? "\n\nResuming demo mode." : "")
+      );
+    }
+    if (open && link.state === "disconnected" && !simInterval) startSimulation();
+    return false;
+  }
+
+  console.log("Port opened successfully.");
+  // Stop demo simulation when Arduino connects (this also forgets the
+  // simulated device, so demo readings don't count against the probe)
+  if (tank === activeTank) stopSimulation();
+  clearTimeout(link.reconnectTimer);
+  link.reconnectTimer = null;
+  link.port = port;
+  link.lastPort = port;
+  rememberTankPort(tank, port);
+  link.state = "connected";
+  link.synced = false; // opening the port resets the board
+  resetLinkStats(tank);
+  startHandshake(tank);
+  if (tank === activeTank) {
+    arduinoConnected = true;
+    renderDeviceConfig();
+  }
+  renderLinkState(tank);
+  console.log(`Connected to ${tank.name}. Awaiting data...`);
+
+  readSerialPort(tank, port);
+  return true;
+}
+
+// Read lines until the user disconnects or the device goes away, then clean
+// up. Every line goes to handleSerialLine(), which only draws the open tank.
+async function readSerialPort(tank, port) {
+  const link = tank.link;
+  const textDecoder = new TextDecoder();
+  let buffer = "";
+
+  // port.readable is replaced after recoverable errors (framing, parity,
+  // buffer overrun) and becomes null once the device is lost
+  while (port.readable && !link.disconnectRequested) {
+    link.reader = port.readable.getReader();
+    try {
+      while (true) {
+        const { value, done } = await link.reader.read();
+        if (done) break; // reader cancelled by disconnectArduino()
+        if (!value) continue;
+
+        buffer += textDecoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop(); // last partial line
+
+        for (const rawLine of lines) {
+          const line = rawLine.trim();
+          if (!line) continue;
+          try {
+            handleSerialLine(tank, line);
+          } catch (err) {
+            // a bug in one handler must not stop the read loop
+            console.error("Could not handle device line:", line, err);
+          }
+        }
+      }
+    } catch (error) {
+      console.warn("Serial read error:", error);
+      buffer = "";
+    } finally {
+      try {
+        link.reader.releaseLock();
+      } catch (e) {}
+      link.reader = null;
+    }
+  }
+
+  // close port and cleanup
+  try {
+    await port.close();
+  } catch (e) {}
+  link.port = null;
+  const open = tank === activeTank;
+  resetDeviceState(tank);
+
+  if (link.disconnectRequested) {
+    link.disconnectRequested = false;
+    link.queue = [];
+    link.state = "disconnected";
+    console.log(`${tank.name}: Arduino disconnected`);
+    if (open && !simInterval) startSimulation();
+    // no readings are expected from a tank that was closed on purpose
+    if (!open) resetAlarmState(tank);
+  } else {
+    // Unplugged or reset: no demo data, keep trying the same port
+    link.state = "reconnecting";
+    console.log(`${tank.name}: Arduino connection lost, reconnecting...`);
+    scheduleReconnect(tank);
+  }
+  renderLinkState(tank);
+  if (open) renderDeviceConfig();
+}
+
+// Forget everything a tank's device reported once it is gone
+function resetDeviceState(tank) {
+  tank.device = createDeviceState();
+  resetSensorFaults(tank);
+  clearHandshake(tank);
+  if (tank === activeTank) {
+    arduinoConnected = false;
+    renderDeviceMode();
+    renderLockout();
+    updatePumpInfo();
+    showDeviceMessage("--");
+  }
+}
+
+function scheduleReconnect(tank) {
+  const link = tank.link;
+  clearTimeout(link.reconnectTimer);
+  link.reconnectTimer = setTimeout(async () => {
+    link.reconnectTimer = null;
+    if (link.state !== "reconnecting") return;
+    const reopened = await reconnectArduino(tank).catch(() => false);
+    if (!reopened && link.state === "reconnecting") scheduleReconnect(tank);
+  }, RECONNECT_INTERVAL_MS);
+}
+
+// Close a tank's connection on request (the open tank goes back to demo mode)
+async function disconnectArduino(tank = activeTank) {
+  const link = tank.link;
+  clearTimeout(link.reconnectTimer);
+  link.reconnectTimer = null;
+
+  if (link.state === "reconnecting") {
+    // nothing is open, just stop trying
+    link.queue = [];
+    link.state = "disconnected";
+    renderLinkState(tank);
+    if (tank === activeTank) {
+      renderDeviceConfig();
+      if (!simInterval) startSimulation();
+    }
+    return;
+  }
+  if (!link.reader) return;
+  link.disconnectRequested = true;
+  try {
+    await link.reader.cancel();
+  } catch (e) {}
+}
+
+function initSerialConnection() {
+  const btn = document.getElementById("connectBtn");
+  if (btn) {
+    btn.addEventListener("click", () => {
+      if (activeTank.link.state === "disconnected") connectArduino();
+      else disconnectArduino();
+    });
+  }
+
+  const baudSelect = document.getElementById("baudRate");
+  if (baudSelect) {
+    baudSelect.value = String(loadBaudRate());
+    baudSelect.addEventListener("change", function () {
+      localStorage.setItem(BAUD_RATE_KEY, this.value);
+      if (tanks.some((tank) => tank.link.state === "connected")) {
+        showDeviceMessage(`Baud rate ${this.value} applies on the next connection`);
+      }
+    });
+  }
+
+  if ("serial" in navigator) {
+    // a granted port plugged back in while its tank waits for it
+    navigator.serial.addEventListener("connect", (event) => {
+      const tank = portOwner(event.target);
+      if (tank && tank.link.state === "reconnecting") {
+        clearTimeout(tank.link.reconnectTimer);
+        tank.link.reconnectTimer = null;
+        openSerialPort(tank, event.target, { quiet: true }).then((opened) => {
+          if (!opened && tank.link.state === "reconnecting") scheduleReconnect(tank);
+        });
+      }
+    });
+    // reopen the ports used in an earlier session, if the browser remembers
+    // them; one tank at a time so two tanks never claim the same port
+    (async () => {
+      for (const tank of tanks) {
+        await reconnectArduino(tank).catch((err) =>
+          console.warn(`Auto-connect failed (${tank.name}):`, err)
+        );
+      }
+    })();
+  }
+
+  updateArduinoStatus();
+}
+
+// ==========================================
+// Serial Console
+// ==========================================
+// Raw view of the serial link: every inbound line colored by how it was
+// handled, outbound commands, and a command prompt. A recorded session is
+// saved as tab-separated "ISO time, direction (< in, > out), line" rows.
+const CONSOLE_MAX_LINES = 500;
+const CONSOLE_HISTORY_LIMIT = 50;
+
+let serialRecording = null; // { startedAt, rows } while a session is being recorded
+let consoleHistory = []; // commands typed into the console, newest last
+let consoleHistoryIndex = -1;
+
+function logConsoleLine(direction, line, kind, note = "") {
+  const now = new Date();
+  if (serialRecording) {
+    serialRecording.rows.push(`${now.toISOString()}\t${direction === "out" ? ">" : "<"}\t${line}`);
+    renderConsoleRecording();
+  }
+
+  const output = document.getElementById("consoleOutput");
+  if (!output) return;
+  const row = document.createElement("div");
+  row.className = "console-line " + kind;
+  const time = document.createElement("span");
+  time.className = "console-time";
+  time.textContent = now.toLocaleTimeString() + "." + String(now.getMilliseconds()).padStart(3, "0");
+  row.appendChild(time);
+  row.appendChild(document.createTextNode((direction === "out" ? "> " : "") + line));
+  // why a line was rejected or what went missing before it (not recorded)
+  if (note) {
+    const noteEl = document.createElement("span");
+    noteEl.className = "console-note";
+    noteEl.textContent = note;
+    row.appendChild(noteEl);
+  }
+  output.appendChild(row);
+
+  while (output.childElementCount > CONSOLE_MAX_LINES) {
+    output.removeChild(output.firstElementChild);
+  }
+  if (document.getElementById("consoleAutoscroll").checked) {
+    output.scrollTop = output.scrollHeight;
+  }
+}
+
+function renderConsoleRecording() {
+  const btn = document.getElementById("btnConsoleRecord");
+  const badge = document.getElementById("consoleRecordingBadge");
+  if (serialRecording) {
+    btn.textContent = `Stop & Save (${serialRecording.rows.length} lines)`;
+    badge.style.display = "inline";
+  } else {
+    btn.textContent = "Record Session";
+    badge.style.display = "none";
+  }
+}
+
+function toggleConsoleRecording() {
+  if (!serialRecording) {
+    serialRecording = { startedAt: new Date(), rows: [] };
+    renderConsoleRecording();
+    return;
+  }
+
+  const { startedAt, rows } = serialRecording;
+  serialRecording = null;
+  renderConsoleRecording();
+  if (rows.length === 0) {
+    alert("Nothing was received or sent while recording.");
+    return;
+  }
+  const header =
+    `# EcoSterile serial session, started ${startedAt.toISOString()}, ` +
+    `${loadBaudRate()} baud, ${rows.length} lines\n`;
+  const stamp = startedAt.toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  downloadFile(`ecosterile-serial-${stamp}.log`, header + rows.join("\n") + "\n", "text/plain");
+}
+
+function sendConsoleCommand(command) {
+  if (!arduinoConnected) {
+    logConsoleLine("out", command + "  (not sent: no device connected)", "error");
+    return;
+  }
+  consoleHistory = consoleHistory.filter((c) => c !== command);
+  consoleHistory.push(command);
+  if (consoleHistory.length > CONSOLE_HISTORY_LIMIT) consoleHistory.shift();
+  consoleHistoryIndex = -1;
+  sendManualCommand(command);
+}
+
+function initSerialConsole() {
+  const form = document.getElementById("consoleForm");
+  const input = document.getElementById("consoleInput");
+
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    const command = input.value.trim();
+    if (!command) return;
+    sendConsoleCommand(command);
+    input.value = "";
+  });
+
+  // Up/Down walk through previously sent commands
+  input.addEventListener("keydown", function (e) {
+    if ((e.key !== "ArrowUp" && e.key !== "ArrowDown") || consoleHistory.length === 0) return;
+    e.preventDefault();
+    if (e.key === "ArrowUp") {
+      consoleHistoryIndex =
+        consoleHistoryIndex === -1 ? consoleHistory.length - 1 : Math.max(0, consoleHistoryIndex - 1);
+    } else if (consoleHistoryIndex !== -1) {
+      consoleHistoryIndex++;
+      if (consoleHistoryIndex >= consoleHistory.length) consoleHistoryIndex = -1;
+    }
+    input.value = consoleHistoryIndex === -1 ? "" : consoleHistory[consoleHistoryIndex];
+  });
+
+  document.getElementById("btnConsoleRecord").addEventListener("click", toggleConsoleRecording);
+  document.getElementById("btnConsoleClear").addEventListener("click", () => {
+    document.getElementById("consoleOutput").innerHTML = "";
+  });
+}
+
+// ==========================================
+// Serial Session Replay
+// ==========================================
+// Plays a session recorded by the serial console back through
+// handleSerialLine(), keeping the original spacing between lines (scaled by
+// the speed setting). Files of bare JSON lines without timestamps are
+// played at the firmware's sample interval. Sessions recorded from firmware
+// older than protocol version 2 are upgraded line by line (see
+// upgradeLegacyMessage() in protocol.js). While a session plays, its
+// readings and doses replace the tank's recent data on screen, but nothing is
+// stored and no alarms are raised; stopping brings the tank's data back.
+const REPLAY_DEFAULT_SPACING_MS = 800; // SAMPLE_INTERVAL_MS in Arduino.cpp
+
+// { name, rows, index, speed, timer, dueAt, remaining, tankData, legacySeq }
+// while a session is loaded; tankData is the phData the replay stands in for
+// and legacySeq numbers lines recorded without a seq
+let replay = null;
+
+// Parse a recorded session into [{ t, direction, line }], t in ms
+function parseSerialSession(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((rawLine) => {
+    if (!rawLine.trim() || rawLine.startsWith("#")) return;
+    const parts = rawLine.split("\t");
+    const t = parts.length >= 3 ? Date.parse(parts[0]) : NaN;
+    if (!isNaN(t) && (parts[1] === "<" || parts[1] === ">")) {
+      rows.push({ t, direction: parts[1] === ">" ? "out" : "in", line: parts.slice(2).join("\t").trim() });
+    } else {
+      const previous = rows.length ? rows[rows.length - 1].t : 0;
+      rows.push({ t: previous + REPLAY_DEFAULT_SPACING_MS, direction: "in", line: rawLine.trim() });
+    }
+  });
+  return rows.filter((row) => row.line);
+}
+
+async function loadReplayFile(file) {
+  if (activeTank.link.state !== "disconnected") {
+    alert("Disconnect the Arduino before replaying a session.");
+    return;
+  }
+  const rows = parseSerialSession(await file.text());
+  if (rows.length === 0) {
+    alert("No serial lines found in " + file.name);
+    return;
+  }
+
+  stopReplay();
+  stopSimulation();
+  replay = {
+    name: file.name,
+    rows,
+    index: 0,
+    speed: parseFloat(document.getElementById("replaySpeed").value) || 1,
+    timer: null,
+    dueAt: 0,
+    remaining: 0,
+    tankData: phData,
+    legacySeq: 0,
+  };
+  phData = createPHData();
+  resetAlarmState(activeTank);
+  activeTank.link.state = "replay";
+  arduinoConnected = true; // replayed lines drive the UI like a live device
+  activeTank.link.synced = false;
+  resetSensorFaults();
+  resetLinkStats(activeTank);
+  renderLinkState(activeTank);
+  renderDeviceConfig();
+  renderTankData();
+  logConsoleLine("in", `--- replaying ${file.name} (${rows.length} lines) ---`, "unparsed");
+  scheduleReplayStep(0);
+}
+
+function scheduleReplayStep(delay) {
+  clearTimeout(replay.timer);
+  replay.dueAt = Date.now() + delay;
+  replay.timer = setTimeout(playReplayStep, delay);
+  renderReplay();
+}
+
+function playReplayStep() {
+  const row = replay.rows[replay.index];
+  if (row.direction === "out") {
+    logConsoleLine("out", row.line, "sent");
+  } else {
+    try {
+      handleSerialLine(activeTank, upgradeReplayedLine(row.line));
+    } catch (err) {
+      console.error("Could not handle replayed line:", row.line, err);
+    }
+  }
+
+  replay.index++;
+  if (replay.index >= replay.rows.length) {
+    logConsoleLine("in", `--- end of ${replay.name} ---`, "unparsed");
+    stopReplay();
+    return;
+  }
+  const gap = Math.max(0, replay.rows[replay.index].t - row.t);
+  scheduleReplayStep(gap / replay.speed);
+}
+
+// A recorded line as the current protocol has it: lines of older firmware
+// are numbered and completed, anything else is passed on unchanged
+function upgradeReplayedLine(line) {
+  let obj;
+  try {
+    obj = JSON.parse(line);
+  } catch (e) {
+    return line;
+  }
+  const upgraded = upgradeLegacyMessage(obj, replay.legacySeq);
+  if (!upgraded) return line;
+  replay.legacySeq++;
+  return JSON.stringify(upgraded);
+}
 
-  const now = new Date();
-  let cutoffTime;
+function toggleReplayPause() {
+  if (!replay) return;
+  if (replay.timer) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.remaining = Math.max(0, replay.dueAt - Date.now());
+    renderReplay();
+  } else {
+    scheduleReplayStep(replay.remaining);
+  }
+}
 
-  switch (timeRange) {
-    case "24h":
-      cutoffTime = new Date(now - 24 * 60 * 60 * 1000);
-      break;
-    case "7d":
-      cutoffTime = new Date(now - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case "month":
-      cutoffTime = new Date(now - 30 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      cutoffTime = new Date(now - 24 * 60 * 60 * 1000);
+function setReplaySpeed(speed) {
+  if (!replay) return;
+  // rescale whatever is left of the current wait
+  if (replay.timer) {
+    const left = Math.max(0, replay.dueAt - Date.now()) * replay.speed;
+    replay.speed = speed;
+    scheduleReplayStep(left / speed);
+  } else {
+    replay.remaining = (replay.remaining * replay.speed) / speed;
+    replay.speed = speed;
   }
+}
 
-  const filteredData = phData.timestamps
-    .map((time, index) => ({
-      time: new Date(time),
-      value: phData.values[index],
-    }))
-    .filter((item) => item.time > cutoffTime);
+// Unload the session and go back to demo mode
+function stopReplay() {
+  if (!replay) return;
+  clearTimeout(replay.timer);
+  phData = replay.tankData;
+  replay = null;
+  resetDeviceState(activeTank);
+  resetAlarmState(activeTank);
+  activeTank.link.state = "disconnected";
+  renderLinkState(activeTank);
+  renderDeviceConfig();
+  renderTankData();
+  renderReplay();
+  if (!simInterval) startSimulation();
+}
 
-  phChart.data.labels = filteredData.map((item) =>
-    item.time.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
-  );
-  phChart.data.datasets[0].data = filteredData.map((item) => item.value);
-  phChart.update();
+function formatReplayTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  const sec = String(seconds % 60).padStart(2, "0");
+  return `${h}:${m}:${sec}`;
 }
 
-// Add pH reading (simulated or from serial)
-function addPHReading(pH) {
-  const timestamp = new Date();
-  phData.timestamps.push(timestamp.toISOString());
-  phData.values.push(pH);
+function renderReplay() {
+  const status = document.getElementById("replayStatus");
+  const pauseBtn = document.getElementById("btnReplayPause");
+  const stopBtn = document.getElementById("btnReplayStop");
+  if (!status || !pauseBtn || !stopBtn) return;
+
+  pauseBtn.disabled = !replay;
+  stopBtn.disabled = !replay;
+  if (!replay) {
+    status.textContent = "No session loaded";
+    pauseBtn.textContent = "Pause";
+    return;
+  }
+  const { rows, index } = replay;
+  const start = rows[0].t;
+  const position = rows[Math.min(index, rows.length - 1)].t - start;
+  status.textContent =
+    `${replay.name}: line ${index} / ${rows.length} · ` +
+    `${formatReplayTime(position)} of ${formatReplayTime(rows[rows.length - 1].t - start)}` +
+    (replay.timer ? "" : " · paused");
+  pauseBtn.textContent = replay.timer ? "Pause" : "Play";
+}
 
-  // Keep only last 30 days
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-  const validIndices = phData.timestamps
-    .map((time, idx) => (new Date(time) > thirtyDaysAgo ? idx : -1))
-    .filter((idx) => idx !== -1);
+function initSessionReplay() {
+  const fileInput = document.getElementById("replayFile");
+  document.getElementById("btnReplayLoad").addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", async function () {
+    const file = this.files[0];
+    this.value = ""; // allow loading the same file again
+    if (!file) return;
+    try {
+      await loadReplayFile(file);
+    } catch (err) {
+      console.error("Replay failed:", err);
+      alert("Could not replay " + file.name + ":\n" + (err.message || err));
+    }
+  });
+  document.getElementById("btnReplayPause").addEventListener("click", toggleReplayPause);
+  document.getElementById("btnReplayStop").addEventListener("click", stopReplay);
+  document.getElementById("replaySpeed").addEventListener("change", function () {
+    setReplaySpeed(parseFloat(this.value) || 1);
+  });
+  renderReplay();
+}
 
-  if (validIndices.length < phData.timestamps.length) {
-    phData.timestamps = validIndices.map((idx) => phData.timestamps[idx]);
-    phData.values = validIndices.map((idx) => phData.values[idx]);
+// ==========================================
+// Probe Calibration Wizard
+// ==========================================
+// Walks the operator through the buffer solutions, waits for the reported
+// voltage to settle, fits pH = slope * V + intercept (same least squares as
+// computeCalibration() in Arduino.cpp) and pushes the points with SET_CAL.
+const CALIBRATION_BUFFERS = [4.0, 7.0, 10.0]; // must match CAL_POINTS in firmware
+const CALIBRATION_WINDOW = 10; // readings used to judge stability
+const CALIBRATION_STABLE_SPREAD = 0.01; // max - min voltage (V) across the window
+const CALIBRATION_HISTORY_KEY = "ecosterile_calibration_history";
+
+let calibrationWizard = null; // { step, samples, points, fit } while the wizard is open
+let pendingCalibration = null; // { tank, entry } sent with SET_CAL, recorded on its ack
+
+// Calibrations of a tank's probe
+function loadCalibrationHistory(tank = activeTank) {
+  try {
+    return JSON.parse(localStorage.getItem(tankStorageKey(CALIBRATION_HISTORY_KEY, tank))) || [];
+  } catch (e) {
+    return [];
   }
+}
 
-  updatePHDisplay(pH);
-  updateChart();
-  updateStats();
-  updateLastUpdate();
-  saveData();
+function saveCalibrationHistory(history, tank = activeTank) {
+  localStorage.setItem(tankStorageKey(CALIBRATION_HISTORY_KEY, tank), JSON.stringify(history));
 }
 
-// Simulate pump activation based on pH
-function simulatePumpControl(pH) {
-  // Use dynamic optimal range so pumps react to selected crop
-  if (pH < optimalPHMin) {
-    logPumpActivity("basic", "1%");
-    console.log("BASIC pump activated - pH too low");
-  } else if (pH > optimalPHMax) {
-    logPumpActivity("acidic", "1%");
-    console.log("ACIDIC pump activated - pH too high");
+// Least-squares fit of pH against voltage, with coefficient of determination
+function fitCalibration(points) {
+  const n = points.length;
+  let sumx = 0, sumy = 0, sumxy = 0, sumx2 = 0;
+  points.forEach(({ voltage, ph }) => {
+    sumx += voltage;
+    sumy += ph;
+    sumxy += voltage * ph;
+    sumx2 += voltage * voltage;
+  });
+
+  const denom = n * sumx2 - sumx * sumx;
+  if (Math.abs(denom) < 1e-6) return null;
+
+  const slope = (n * sumxy - sumx * sumy) / denom;
+  const intercept = (sumy - slope * sumx) / n;
+
+  const meanY = sumy / n;
+  let ssRes = 0, ssTot = 0;
+  points.forEach(({ voltage, ph }) => {
+    ssRes += Math.pow(ph - (slope * voltage + intercept), 2);
+    ssTot += Math.pow(ph - meanY, 2);
+  });
+  const r2 = ssTot > 0 ? 1 - ssRes / ssTot : 1;
+
+  return { slope, intercept, r2 };
+}
+
+function startCalibrationWizard() {
+  if (!arduinoConnected) {
+    alert("Connect the Arduino first: calibration needs live probe voltages.");
+    return;
   }
+  calibrationWizard = { step: 0, samples: [], points: [], fit: null };
+  document.getElementById("calibrationWizard").style.display = "block";
+  renderCalibrationWizard();
 }
 
-// Update timestamp
-function updateLastUpdate() {
-  const lastUpdate = document.getElementById("lastUpdate");
-  const footerTime = document.getElementById("footerTime");
-  const now = new Date();
-  lastUpdate.textContent = now.toLocaleTimeString();
-  footerTime.textContent = now.toLocaleString();
+function cancelCalibrationWizard() {
+  calibrationWizard = null;
+  document.getElementById("calibrationWizard").style.display = "none";
 }
 
-// Event listeners for chart controls
-document.getElementById("btn24h").addEventListener("click", function () {
-  document
-    .querySelectorAll(".btn-time")
-    .forEach((btn) => btn.classList.remove("active"));
-  this.classList.add("active");
-  updateChart("24h");
-});
+// Stable reading for the current step, or null while the probe is still settling
+function getStableCalibrationVoltage() {
+  const samples = calibrationWizard.samples;
+  if (samples.length < CALIBRATION_WINDOW) return null;
+  const spread = Math.max(...samples) - Math.min(...samples);
+  if (spread > CALIBRATION_STABLE_SPREAD) return null;
+  return samples.reduce((a, b) => a + b, 0) / samples.length;
+}
 
-document.getElementById("btn7d").addEventListener("click", function () {
-  document
-    .querySelectorAll(".btn-time")
-    .forEach((btn) => btn.classList.remove("active"));
-  this.classList.add("active");
-  updateChart("7d");
-});
+// Called for every voltage reported by the device
+function handleCalibrationVoltage(voltage) {
+  if (!calibrationWizard || calibrationWizard.fit) return;
+  const samples = calibrationWizard.samples;
+  samples.push(voltage);
+  if (samples.length > CALIBRATION_WINDOW) samples.shift();
+  renderCalibrationWizard();
+}
 
-document.getElementById("btnMonth").addEventListener("click", function () {
-  document
-    .querySelectorAll(".btn-time")
-    .forEach((btn) => btn.classList.remove("active"));
-  this.classList.add("active");
-  updateChart("month");
-});
+// Record the settled voltage for this buffer and move on
+function recordCalibrationPoint() {
+  const voltage = getStableCalibrationVoltage();
+  if (!calibrationWizard || voltage === null) return;
 
-document.getElementById("btnClear").addEventListener("click", function () {
-  if (confirm("Are you sure you want to delete all historical data?")) {
-    phData.timestamps = [];
-    phData.values = [];
-    phData.pumpLog = [];
-    phData.lastPump = null;
-    saveData();
-    updateChart();
-    updateLog();
-    updateStats();
-    alert("All data cleared!");
+  calibrationWizard.points.push({
+    ph: CALIBRATION_BUFFERS[calibrationWizard.step],
+    voltage: voltage,
+  });
+  calibrationWizard.step++;
+  calibrationWizard.samples = [];
+
+  if (calibrationWizard.step >= CALIBRATION_BUFFERS.length) {
+    calibrationWizard.fit = fitCalibration(calibrationWizard.points);
   }
-});
+  renderCalibrationWizard();
+}
 
-// ==========================================
-// Simulated Data Stream (Demo Mode)
-// ==========================================
-// Replace this with actual Arduino serial connection in production
-function startSimulation() {
-  console.log("Starting demo simulation...");
+async function applyCalibration() {
+  if (!calibrationWizard || !calibrationWizard.fit) return;
+  const { points, fit } = calibrationWizard;
+
+  const args = points
+    .map((p) => `${p.ph.toFixed(2)},${p.voltage.toFixed(3)}`)
+    .join(",");
+  const demo = !!demoDevice;
+  // a queued SET_CAL still goes out (and is acknowledged) once reconnected
+  const outcome = await sendManualCommand("SET_CAL:" + args);
+  if (outcome === "failed") {
+    alert("Could not send the calibration to the device.");
+    return;
+  }
 
-  let currentPH = 7.0;
+  // recorded once the device has stored it; the demo device has no probe
+  pendingCalibration = demo
+    ? null
+    : {
+        tank: activeTank,
+        entry: { points: points, slope: fit.slope, intercept: fit.intercept, r2: fit.r2 },
+      };
+  cancelCalibrationWizard();
+}
 
-  // store interval id so we can stop simulation when Arduino connects
-  simInterval = setInterval(() => {
-    // Simulate random pH fluctuation
-    const change = (Math.random() - 0.5) * 0.3;
-    currentPH = Math.max(4, Math.min(10, currentPH + change));
+// The device acknowledged SET_CAL: add the calibration to the tank's history
+function confirmCalibration(tank = activeTank) {
+  if (!pendingCalibration || pendingCalibration.tank !== tank) return;
+  // replayed and demo acks confirm nothing
+  if (tank.link.state === "replay" || (tank === activeTank && demoDevice)) return;
+  const history = loadCalibrationHistory(tank);
+  history.push({ date: new Date().toISOString(), ...pendingCalibration.entry });
+  saveCalibrationHistory(history, tank);
+  pendingCalibration = null;
+  if (tank === activeTank) renderCalibrationHistory();
+}
 
-    addPHReading(currentPH);
-    simulatePumpControl(currentPH);
-  }, 5000); // Update every 5 seconds (adjust as needed)
+function rejectCalibration(message, tank = activeTank) {
+  if (!pendingCalibration || pendingCalibration.tank !== tank) return;
+  pendingCalibration = null;
+  alert(`${tank.name} rejected the calibration: ${message}`);
 }
 
-function stopSimulation() {
-  if (simInterval) {
-    clearInterval(simInterval);
-    simInterval = null;
-    console.log("Simulation stopped");
+function renderCalibrationWizard() {
+  if (!calibrationWizard) return;
+  const wiz = calibrationWizard;
+  const stepEl = document.getElementById("calibrationStep");
+  const voltageEl = document.getElementById("calibrationVoltage");
+  const stabilityEl = document.getElementById("calibrationStability");
+  const pointsEl = document.getElementById("calibrationPoints");
+  const resultEl = document.getElementById("calibrationResult");
+  const nextBtn = document.getElementById("btnCalibrationNext");
+  const applyBtn = document.getElementById("btnCalibrationApply");
+
+  pointsEl.innerHTML = wiz.points
+    .map(
+      (p) =>
+        `<div class="calibration-point">pH ${p.ph.toFixed(2)} → ${p.voltage.toFixed(3)} V</div>`
+    )
+    .join("");
+
+  if (wiz.fit === null && wiz.step >= CALIBRATION_BUFFERS.length) {
+    stepEl.textContent = "Fit failed: the recorded voltages are identical.";
+    resultEl.innerHTML = "";
+    nextBtn.style.display = "none";
+    applyBtn.style.display = "none";
+    return;
+  }
+
+  if (wiz.fit) {
+    const { slope, intercept, r2 } = wiz.fit;
+    stepEl.textContent = "All buffers recorded. Review the fit below.";
+    voltageEl.textContent = "--";
+    stabilityEl.textContent = "";
+    resultEl.innerHTML = `
+        <div>Slope: <strong>${slope.toFixed(4)}</strong> pH/V</div>
+        <div>Intercept: <strong>${intercept.toFixed(4)}</strong></div>
+        <div class="${r2 < 0.98 ? "calibration-warning" : ""}">R²: <strong>${r2.toFixed(4)}</strong>${
+      r2 < 0.98 ? " (poor fit - check buffers and probe)" : ""
+    }</div>
+    `;
+    nextBtn.style.display = "none";
+    applyBtn.style.display = "inline-block";
+    return;
+  }
+
+  const buffer = CALIBRATION_BUFFERS[wiz.step];
+  stepEl.textContent = `Step ${wiz.step + 1} of ${CALIBRATION_BUFFERS.length}: rinse the probe and place it in the pH ${buffer.toFixed(
+    1
+  )} buffer.`;
+
+  const latest = wiz.samples[wiz.samples.length - 1];
+  voltageEl.textContent = latest !== undefined ? latest.toFixed(3) + " V" : "--";
+
+  const stable = getStableCalibrationVoltage();
+  if (stable !== null) {
+    stabilityEl.textContent = "🟢 Stable";
+  } else {
+    stabilityEl.textContent = `🟡 Stabilizing (${wiz.samples.length}/${CALIBRATION_WINDOW})`;
   }
+
+  resultEl.innerHTML = "";
+  nextBtn.style.display = "inline-block";
+  nextBtn.disabled = stable === null;
+  nextBtn.textContent =
+    wiz.step === CALIBRATION_BUFFERS.length - 1 ? "Record & Finish" : "Record & Next";
+  applyBtn.style.display = "none";
+}
+
+// Show past calibrations so slope drift over weeks is visible
+function renderCalibrationHistory() {
+  const container = document.getElementById("calibrationHistory");
+  if (!container) return;
+  const history = loadCalibrationHistory();
+
+  if (history.length === 0) {
+    container.innerHTML =
+      '<p class="empty-state">No calibrations recorded yet</p>';
+    return;
+  }
+
+  container.innerHTML = history
+    .map((entry, i) => {
+      const prev = history[i - 1];
+      const drift = prev
+        ? ((entry.slope - prev.slope) / Math.abs(prev.slope)) * 100
+        : null;
+      return `
+        <div class="calibration-entry">
+            <div>
+                <div class="log-time">${new Date(entry.date).toLocaleString()}</div>
+                <div class="calibration-points-summary">${entry.points
+                  .map((p) => `pH ${p.ph} @ ${p.voltage.toFixed(3)} V`)
+                  .join(" · ")}</div>
+            </div>
+            <div style="text-align: right;">
+                <div>Slope ${entry.slope.toFixed(4)} · R² ${entry.r2.toFixed(3)}</div>
+                <div style="font-size: 0.85em; color: #95a5a6;">${
+                  drift === null
+                    ? "first calibration"
+                    : (drift >= 0 ? "+" : "") + drift.toFixed(1) + "% slope vs previous"
+                }</div>
+            </div>
+        </div>
+    `;
+    })
+    .reverse()
+    .join("");
+}
+
+function initCalibrationWizard() {
+  document
+    .getElementById("btnStartCalibration")
+    .addEventListener("click", startCalibrationWizard);
+  document
+    .getElementById("btnCalibrationNext")
+    .addEventListener("click", recordCalibrationPoint);
+  document
+    .getElementById("btnCalibrationApply")
+    .addEventListener("click", applyCalibration);
+  document
+    .getElementById("btnCalibrationCancel")
+    .addEventListener("click", cancelCalibrationWizard);
+  renderCalibrationHistory();
 }
 
 // ==========================================
-// Arduino Serial Communication (Optional)
-// ==========================================
-// If using serial communication, use connectArduino() to request a serial port
+// Operating Mode
 // ==========================================
-// Arduino Serial Communication (Optional)
-// Stores a reference to the opened port so we can close it later
-let currentPort = null;
+// The device enforces the mode (see SET_MODE in Arduino.cpp) and reports it on
+// every reading; the dashboard only requests changes and shows what it reports.
+const MODE_LABELS = {
+  auto: "Automatic",
+  manual: "Manual only",
+  monitor: "Monitor only",
+  maintenance: "Maintenance",
+};
 
-// Update Arduino connection status in the UI
-function updateArduinoStatus(connected) {
-  const el = document.getElementById("arduinoStatus");
-  const btn = document.getElementById("connectBtn");
-  if (!el || !btn) return;
-  if (connected) {
-    el.textContent = "Connected (Live)";
-    el.classList.remove("offline");
-    el.classList.add("arduino-connected");
-    btn.textContent = "Disconnect Arduino";
+// Record the mode a tank's device reported. Rendering every time also puts
+// the select back when the device rejected a change.
+function setDeviceMode(tank, mode) {
+  if (!MODE_LABELS[mode]) {
+    console.warn("Unknown device mode:", mode);
+    return;
+  }
+  if (mode !== tank.device.mode) console.log(`Device mode (${tank.name}):`, mode);
+  tank.device.mode = mode;
+  if (tank === activeTank) renderDeviceMode();
+}
+
+function renderDeviceMode() {
+  const badge = document.getElementById("modeBadge");
+  const select = document.getElementById("modeSelect");
+  if (!badge || !select) return;
+  const mode = activeTank.device.mode;
+
+  if (!arduinoConnected) {
+    badge.textContent = "Demo (automatic)";
   } else {
-    el.textContent = "Disconnected (Demo)";
-    el.classList.remove("arduino-connected");
-    el.classList.add("offline");
-    btn.textContent = "Connect Arduino";
+    badge.textContent = mode ? MODE_LABELS[mode] : "Waiting...";
   }
+  badge.className = "status-badge mode-badge " + (mode || "demo");
+  select.disabled = !arduinoConnected;
+  if (mode) select.value = mode;
 }
 
-async function connectArduino() {
-  if (!("serial" in navigator)) {
-    alert("Web Serial API not supported in this browser. Use Chrome or Edge.");
+function requestDeviceMode(mode) {
+  const current = activeTank.device.mode;
+  if (!arduinoConnected || mode === current) return;
+  if (
+    current === "maintenance" &&
+    (mode === "auto" || mode === "manual") &&
+    !confirm("Is the probe back in the solution and rinsed? Dosing will be possible again.")
+  ) {
+    renderDeviceMode(); // put the select back
     return;
   }
+  sendManualCommand("SET_MODE:" + mode);
+}
 
-  try {
-    console.log("Requesting serial port...");
-    const port = await navigator.serial.requestPort();
-    
-    if (!port) {
-      console.log("User cancelled port selection.");
-      alert("You cancelled the port selection.");
-      return;
-    }
+function initModeControl() {
+  document.getElementById("modeSelect").addEventListener("change", function () {
+    requestDeviceMode(this.value);
+  });
+  renderDeviceMode();
+}
 
-    console.log("Opening port at 9600 baud...");
-    await port.open({ baudRate: 9600 });
-    console.log("Port opened successfully.");
-    currentPort = port;
+// ==========================================
+// Safety Lockout
+// ==========================================
+// The device latches a lockout when a pump uses up its hourly/daily burst
+// budget, when pH moves the wrong way after a dose, or after a watchdog reset.
+// It blocks automatic dosing (and DOSE) until an operator sends RESET_LOCKOUT.
+const LOCKOUT_LABELS = {
+  hourly_limit: "Hourly burst limit reached",
+  daily_limit: "Daily burst limit reached",
+  wrong_direction: "pH moved the wrong way after a dose",
+  watchdog: "Controller stalled and was reset by the watchdog",
+};
 
-    // Stop demo simulation when Arduino connects
-    arduinoConnected = true;
-    if (simInterval) clearInterval(simInterval);
-    simInterval = null;
-    stopSimulation();
-    updateArduinoStatus(true);
-    console.log("Connected to Arduino. Awaiting data...");
+function describeLockout(lockout) {
+  const label = LOCKOUT_LABELS[lockout.reason] || lockout.reason;
+  return lockout.pump === "basic" || lockout.pump === "acidic"
+    ? `${label} (${lockout.pump} pump)`
+    : label;
+}
 
-    const textDecoder = new TextDecoder();
-    const reader = port.readable.getReader();
+function setDeviceLockout(tank, lockout) {
+  const previous = tank.device.lockout;
+  // keep the pump from the typed message when a reading repeats only the reason
+  if (lockout && previous && previous.reason === lockout.reason && lockout.pump === "none") {
+    lockout = previous;
+  }
+  tank.device.lockout = lockout;
+  if (lockout && !previous) console.warn(`Device lockout (${tank.name}):`, describeLockout(lockout));
+  if (!lockout && previous) console.log(`Device lockout cleared (${tank.name})`);
+  if (tank === activeTank) renderLockout();
+}
 
-    let buffer = "";
+// Banner in the pump card; stays until the device reports the reset
+function renderLockout() {
+  const banner = document.getElementById("lockoutBanner");
+  if (!banner) return;
+  const lockout = activeTank.device.lockout;
+  if (!lockout) {
+    banner.style.display = "none";
+    return;
+  }
+  document.getElementById("lockoutReason").textContent = describeLockout(lockout);
+  banner.style.display = "block";
+}
 
-    try {
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) {
-          console.log("Serial port closed by Arduino.");
-          break;
-        }
-        if (!value) continue;
+function resetLockout() {
+  const lockout = activeTank.device.lockout;
+  if (!lockout || !arduinoConnected) return;
+  if (
+    !confirm(
+      `Reset the safety lockout?\n\n${describeLockout(lockout)}\n\n` +
+        "Check the reservoirs, tubing and probe before automatic dosing resumes."
+    )
+  ) {
+    return;
+  }
+  sendManualCommand("RESET_LOCKOUT");
+}
 
-        buffer += textDecoder.decode(value, { stream: true });
-        const lines = buffer.split(/\r?\n/);
-        buffer = lines.pop(); // last partial line
+// Per-pump burst limits (SET_LIMITS)
+function renderLimitsForm() {
+  const form = document.getElementById("limitsForm");
+  const config = activeTank.device.config;
+  if (!form || !config || !config.limits) return;
+  const { basic, acidic } = config.limits;
+  form.basicPerHour.value = basic[0];
+  form.basicPerDay.value = basic[1];
+  form.acidicPerHour.value = acidic[0];
+  form.acidicPerDay.value = acidic[1];
+}
 
-        for (const rawLine of lines) {
-          const line = rawLine.trim();
-          if (!line) continue;
+function initSafetyLockout() {
+  document.getElementById("btnResetLockout").addEventListener("click", resetLockout);
 
-          try {
-            // Try parsing as JSON first (Arduino sends JSON format)
-            // Example: {"pH":7.45,"voltage":2.441,"pump":"basic"}
-            const obj = JSON.parse(line);
-
-            // pH
-            if (obj.pH !== undefined) {
-              const pH = parseFloat(obj.pH);
-              if (!isNaN(pH)) {
-                addPHReading(pH);
-                console.log("Arduino pH reading:", pH);
-              }
-            }
-
-            // Pump activity reported by Arduino
-            if (obj.pump) {
-              const pumpRaw = obj.pump.toLowerCase();
-
-              // Normalize pump type
-              let pumpType = null;
-              if (pumpRaw.includes("basic")) pumpType = "basic";
-              else if (pumpRaw.includes("acidic")) pumpType = "acidic";
-
-              if (pumpType && pumpType !== "off") {
-                // avoid duplicate logs for the same pump
-                if (lastReportedPump !== pumpType) {
-                  logPumpActivity(pumpType, "1%");
-                  lastReportedPump = pumpType;
-                  console.log("Arduino pump:", pumpType);
-                }
-              } else {
-                // reset last reported pump to allow future ON logs
-                lastReportedPump = null;
-              }
-            }
-          } catch (parseError) {
-            // If JSON parsing fails, log it but don't crash
-            console.log("Non-JSON line from Arduino:", line);
-          }
-        }
-      }
-    } finally {
-      try {
-        reader.releaseLock();
-      } catch (e) {}
+  const form = document.getElementById("limitsForm");
+  form.addEventListener("submit", function (e) {
+    e.preventDefault();
+    if (!canSendCommands()) {
+      alert("Connect the device to change its limits.");
+      return;
     }
-
-    // close port and cleanup
-    try {
-      await port.close();
-    } catch (e) {}
-    currentPort = null;
-    arduinoConnected = false;
-    console.log("Arduino disconnected");
-    updateArduinoStatus(false);
-    if (!simInterval) startSimulation();
-  } catch (error) {
-    console.error("Serial error:", error);
-    const errorMsg = error.message || error.toString();
-    
-    // Check if user cancelled
-    if (errorMsg.includes("cancelled") || errorMsg.includes("User cancelled")) {
-      console.log("User cancelled the port request.");
-      // No alert — user intentionally cancelled
-    } else {
-      alert("Could not connect to Arduino:\n" + errorMsg + "\n\nResuming demo mode.");
+    const values = [
+      form.basicPerHour.value,
+      form.basicPerDay.value,
+      form.acidicPerHour.value,
+      form.acidicPerDay.value,
+    ].map((v) => parseInt(v, 10));
+    if (values.some((v) => isNaN(v) || v < 1)) {
+      alert("Limits must be whole numbers of at least 1.");
+      return;
+    }
+    if (values[0] > values[1] || values[2] > values[3]) {
+      alert("The hourly limit can't be above the daily limit.");
+      return;
     }
+    sendManualCommand("SET_LIMITS:" + values.join(","));
+  });
+  renderLockout();
+}
 
-    arduinoConnected = false;
-    currentPort = null;
-    updateArduinoStatus(false);
+// ==========================================
+// Manual Pump Control
+// ==========================================
+// DOSE, PRIME and STOP commands (see handleCommand() in Arduino.cpp). The
+// device reports these runs as pump events with source "manual" or "prime",
+// so they are logged like automatic doses but kept apart in the pump log.
+const MANUAL_DOSE_MAX_S = 30; // MAX_DOSE_MS in Arduino.cpp
+const PRIME_MAX_S = 120; // MAX_PRIME_MS in Arduino.cpp
+
+function runManualPump(kind) {
+  const pump = document.getElementById("manualPump").value;
+  const seconds = parseFloat(document.getElementById("manualSeconds").value);
+  const maxSeconds = kind === "PRIME" ? PRIME_MAX_S : MANUAL_DOSE_MAX_S;
+
+  if (!arduinoConnected) {
+    alert("Connect the device to run pumps manually.");
+    return;
+  }
+  if (isNaN(seconds) || seconds < 0.1 || seconds > maxSeconds) {
+    alert(`Duration must be between 0.1 and ${maxSeconds} seconds.`);
+    return;
+  }
+  const label = pump === "basic" ? "basic" : "acidic";
+  const question =
+    kind === "PRIME"
+      ? `Prime the ${label} pump for ${seconds} s? Make sure the tubing outlet is in the tank or a container.`
+      : `Dose ${label} solution for ${seconds} s now?`;
+  if (!confirm(question)) return;
+
+  sendManualCommand(`${kind}:${pump},${Math.round(seconds * 1000)}`);
+}
 
-    // Restart demo mode
-    if (!simInterval) startSimulation();
+function emergencyStop() {
+  if (activeTank.link.state === "reconnecting") {
+    // the board resets (pumps off) when the port is reopened
+    showDeviceMessage("Connection lost - pumps stop when the device resets", "error");
+    return;
+  }
+  if (!arduinoConnected) {
+    showDeviceMessage("Not connected - no pump to stop", "error");
+    return;
   }
+  sendManualCommand("STOP");
+  showDeviceMessage("⛔ Emergency stop sent", "error");
+  console.warn("Emergency stop sent to device");
+}
+
+function initManualControl() {
+  document
+    .getElementById("btnDoseNow")
+    .addEventListener("click", () => runManualPump("DOSE"));
+  document
+    .getElementById("btnPrime")
+    .addEventListener("click", () => runManualPump("PRIME"));
+  document
+    .getElementById("btnEmergencyStop")
+    .addEventListener("click", emergencyStop);
 }
 
 // ==========================================
 // Initialize Application
-document.addEventListener("DOMContentLoaded", function () {
+document.addEventListener("DOMContentLoaded", async function () {
+  await initTanks();
+  renderCropSelector();
+  renderTankCrop();
   loadData();
+  await initHistoryStore();
   initializeChart();
   updateChart("24h");
   updatePumpInfo();
   updateLog();
   updateStats();
   updateLastUpdate();
+  initCalibrationWizard();
+  initPumpSettingsForm();
+  initDataTransfer();
+  initRetentionSettings();
+  initAlarms();
+  initFilterForm();
+  initControlForm();
+  initSafetyLockout();
+  initManualControl();
+  initModeControl();
 
   // Initialize weather and forecasts
   updateWeatherDisplay();
@@ -660,109 +5394,19 @@ document.addEventListener("DOMContentLoaded", function () {
     console.log("Simulation already running or Arduino connected.");
   }
 
-  // Wire Connect button (toggle connect/disconnect)
-  
-
-  // Initialize Arduino status UI
-  updateArduinoStatus(false);
+  // Connect button, baud rate and auto-connect to a previously granted port
+  initSerialConnection();
+  initSerialConsole();
+  initSessionReplay();
+  initTankOverview();
+  initCropProfiles();
+  initAuditLog();
+  renderDeviceConfig();
 
   const cropSelector = document.getElementById("cropSelector");
-  // Crop image element reference
-  const cropImage = document.getElementById("cropImage");
-  const optimalPHRange = document.getElementById("optimalPHRange");
-  // Map crop values to emoji icons (kept for fallback)
-  const cropIconMap = {
-    rice: "🌾",
-    wheat: "🌾",
-    maize: "🌽",
-    barley: "🌾",
-    sorghum: "🌾",
-    pearl_millet: "🌾",
-    finger_millet: "🌾",
-    chickpea: "🫘",
-    pigeon_pea: "🫘",
-    black_gram: "🫘",
-    green_gram: "🫘",
-    lentil: "🫘",
-    kidney_bean: "🫘",
-    cowpea: "🫘",
-    horse_gram: "🫘",
-    mustard: "🌼",
-    groundnut: "🥜",
-    soybean: "🌱",
-    sunflower: "🌻",
-    sesame: "🌿",
-    castor: "🌱",
-    linseed: "🌿",
-    tomato: "🍅",
-    potato: "🥔",
-    onion: "🧅",
-    brinjal: "🍆",
-    cabbage: "🥬",
-    cauliflower: "🥦",
-    carrot: "🥕",
-    spinach: "🥬",
-    capsicum: "🫑",
-    okra: "🥒",
-    bottle_gourd: "🫛",
-    bitter_gourd: "🥒",
-    pumpkin: "🎃",
-    peas: "🫛",
-    mango: "🥭",
-    banana: "🍌",
-    guava: "🫐",
-    apple: "🍎",
-    grapes: "🍇",
-    papaya: "🍈",
-    watermelon: "🍉",
-    muskmelon: "🍈",
-    pomegranate: "🍎",
-    orange: "🍊",
-    lemon: "🍋",
-    coconut: "🥥",
-    sugarcane: "🌾",
-    cotton: "☁️",
-    jute: "🌿",
-    tobacco: "🌿",
-    tea: "🍃",
-    coffee: "☕",
-    rubber: "🌳",
-    cocoa: "🍫",
-    cardamom: "🌿",
-    black_pepper: "🧂",
-    turmeric: "🌿",
-    ginger: "🌿",
-    coriander: "🌿",
-    cumin: "🌿",
-    fenugreek: "🌿",
-    cinnamon: "🌿",
-    clove: "🌿",
-    capsicum_protected: "🫑",
-    tomato_protected: "🍅",
-    cucumber: "🥒",
-    lettuce_protected: "🥬",
-    strawberries: "🍓",
-    exotic_greens: "🥬",
-  };
-  // Track current selection and provide change protection
-  let currentCropIndex = cropSelector ? cropSelector.selectedIndex : -1;
-  let suppressCropChange = false; // used to avoid re-entrant change handling
 
-  // Initialize optimal pH range and image from the currently selected option
-  if (cropSelector && cropSelector.options && currentCropIndex >= 0) {
-    const opt = cropSelector.options[currentCropIndex];
-    const minPH = opt.dataset.min;
-    const maxPH = opt.dataset.max;
-    const cropValue = opt.value;
-    optimalPHRange.textContent = `${minPH} - ${maxPH}`;
-    optimalPHMin = parseFloat(minPH) || optimalPHMin;
-    optimalPHMax = parseFloat(maxPH) || optimalPHMax;
-    if (cropImage) {
-      cropImage.src = `images/${cropValue}.png`;
-      cropImage.alt = opt.text || cropValue;
-      cropImage.title = opt.text || cropValue;
-    }
-  }
+  // Change protection; the selection itself is the open tank's crop
+  let suppressCropChange = false; // used to avoid re-entrant change handling
 
   // Insert a small lock button into the header to allow setting/removing password protection
   const cropHeader = cropSelector ? cropSelector.parentElement : null;
@@ -809,6 +5453,7 @@ document.addEventListener("DOMContentLoaded", function () {
         const pw2 = prompt("Confirm password:");
         if (pw !== pw2) return alert("Passwords do not match");
         setPassword(pw);
+        logAudit("password", "Password set");
         alert("Password set for crop changes");
         updateLockButtonUI();
         return;
@@ -820,8 +5465,12 @@ document.addEventListener("DOMContentLoaded", function () {
       );
       if (removeAction) {
         const cur = prompt("Enter current password to remove:");
-        if (!verifyPassword(cur)) return alert("Incorrect password");
+        if (!verifyPassword(cur)) {
+          logAudit("password", "Wrong password", "password removal refused");
+          return alert("Incorrect password");
+        }
         removePassword();
+        logAudit("password", "Password removed");
         alert("Password removed");
         updateLockButtonUI();
         return;
@@ -829,12 +5478,16 @@ document.addEventListener("DOMContentLoaded", function () {
 
       // Change password
       const cur = prompt("Enter current password:");
-      if (!verifyPassword(cur)) return alert("Incorrect password");
+      if (!verifyPassword(cur)) {
+        logAudit("password", "Wrong password", "password change refused");
+        return alert("Incorrect password");
+      }
       const np = prompt("Enter new password (leave blank to cancel):");
       if (!np) return;
       const np2 = prompt("Confirm new password:");
       if (np !== np2) return alert("Passwords do not match");
       setPassword(np);
+      logAudit("password", "Password changed");
       alert("Password changed");
       updateLockButtonUI();
     });
@@ -852,21 +5505,20 @@ document.addEventListener("DOMContentLoaded", function () {
       return;
     }
 
-    const newIndex = cropSelector.selectedIndex;
-    const selectedOption = cropSelector.options[newIndex];
-    const minPH = selectedOption.dataset.min;
-    const maxPH = selectedOption.dataset.max;
-    const cropValue = selectedOption.value;
+    // the range the crop's profile calls for today (its current growth stage)
+    const target = cropTarget(cropSelector.value);
+    const range = `pH ${target.min.toFixed(1)} - ${target.max.toFixed(1)}`;
 
-    const message = `Change crop to ${selectedOption.text} (pH ${minPH} - ${maxPH})? This may trigger pumps and affect your plants.`;
+    const message = `Change crop to ${cropLabel(target)} (${range})? This may trigger pumps and affect your plants.`;
 
     // If password is set, verify first
     if (localStorage.getItem("cropProtectPassword")) {
       const pw = prompt("Enter password to change crop:");
       if (!verifyPassword(pw)) {
+        logAudit("password", "Wrong password", `crop change to ${cropLabel(target)} refused`);
         alert("Incorrect password. Crop selection cancelled.");
         suppressCropChange = true;
-        cropSelector.selectedIndex = currentCropIndex;
+        cropSelector.value = activeTank.crop.value;
         return;
       }
     }
@@ -874,46 +5526,15 @@ document.addEventListener("DOMContentLoaded", function () {
     // Ask for confirmation
     if (!confirm(message)) {
       suppressCropChange = true;
-      cropSelector.selectedIndex = currentCropIndex;
+      cropSelector.value = activeTank.crop.value;
       return;
     }
 
     // User confirmed and password (if needed) passed — apply changes
-    optimalPHRange.textContent = `${minPH} - ${maxPH}`;
-    optimalPHMin = parseFloat(minPH) || optimalPHMin;
-    optimalPHMax = parseFloat(maxPH) || optimalPHMax;
-
-    // Immediately update pH status display if there's a current value
-    const currentPH = parseFloat(
-      document.getElementById("phValue").textContent
-    );
-    if (!isNaN(currentPH)) updatePHDisplay(currentPH);
-
-    // Update crop icon
-    if (cropImage) {
-      cropImage.src = `images/${cropValue}.png`;
-      cropImage.alt = selectedOption.text || cropValue;
-      cropImage.title = selectedOption.text || cropValue;
-    }
-
-    // Send updated pH range to Arduino (if connected)
-    if (arduinoConnected) {
-      sendPHRangeToArduino(minPH, maxPH);
-    }
-
-    // commit the selection index
-    currentCropIndex = newIndex;
+    // (display, range history and the device; see applyTankCrop())
+    applyTankCrop(activeTank, target, "Crop changed");
   });
 
-  // Function to send pH range to Arduino
-  function sendPHRangeToArduino(minPH, maxPH) {
-    if (!currentPort) return;
-    const command = `SET_PH_RANGE:${minPH},${maxPH}\n`;
-    const encoder = new TextEncoder();
-    currentPort.writable.getWriter().write(encoder.encode(command));
-    console.log("Sent to Arduino:", command);
-  }
-
   // Password recovery: Listen for Ctrl+Shift+Alt+R to reset forgotten password
   document.addEventListener("keydown", function (e) {
     if (e.ctrlKey && e.shiftKey && e.altKey && e.key === "R") {
@@ -936,6 +5557,7 @@ document.addEventListener("DOMContentLoaded", function () {
       // Simple security question - answer is "EcoSterile"
       if (securityAnswer && securityAnswer.toLowerCase() === "ecosterile") {
         localStorage.removeItem("cropProtectPassword");
+        logAudit("password", "Password reset", "security question answered");
         alert(
           "✓ Password reset successfully! You can now set a new password by clicking the lock button."
         );
@@ -945,6 +5567,7 @@ document.addEventListener("DOMContentLoaded", function () {
         return;
       }
 
+      logAudit("password", "Password reset refused", "wrong security answer");
       alert("✗ Incorrect answer. Password not reset.");
     }
   });
@@ -1187,56 +5810,19 @@ async function updateWeatherDisplay() {
   } else if (data.aqiValue < 100) {
     aqiBar.style.background = "linear-gradient(to right, #f39c12, #f39c12)";
   } else {
-    updateArduinoStatus(false);
     aqiBar.style.background = "linear-gradient(to right, #e74c3c, #e74c3c)";
   }
 
   // AQI details
   document.getElementById("pm25").textContent = data.pm25 + " μg/m³";
-  updateArduinoStatus(false);
   document.getElementById("pm10").textContent = data.pm10 + " μg/m³";
   document.getElementById("o3").textContent = data.o3 + " ppb";
   document.getElementById("no2").textContent = data.no2 + " ppb";
   document.getElementById("so2").textContent = data.so2 + " ppb";
   document.getElementById("co").textContent = data.co + " ppm";
-  // Update Arduino connection status in the UI
-  function updateArduinoStatus(connected) {
-    const el = document.getElementById("arduinoStatus");
-    const btn = document.getElementById("connectBtn");
-    if (!el || !btn) return;
-    if (connected) {
-      el.textContent = "Connected";
-      el.classList.remove("offline");
-      el.classList.add("arduino-connected");
-      btn.textContent = "Disconnect Arduino";
-    } else {
-      el.textContent = "Disconnected";
-      el.classList.remove("arduino-connected");
-      el.classList.add("offline");
-      btn.textContent = "Connect Arduino";
-    }
-  }
-
   // Generate hourly forecast
   generateHourlyForecast();
 
-  // Wire Connect button
-  const connectBtn = document.getElementById("connectBtn");
-  if (connectBtn) {
-    connectBtn.addEventListener("click", async function () {
-      // If already connected, do nothing or allow disconnect later
-      if (arduinoConnected) {
-        alert(
-          "Arduino already connected. To reconnect, please refresh the page after disconnecting."
-        );
-        return;
-      }
-      await connectArduino();
-    });
-  }
-
-  // Initialize Arduino status UI
-  updateArduinoStatus(false);
   // Generate daily forecast
   generateDailyForecast();
 
@@ -0,0 +1,891 @@
+// ==========================================
+// EcoSterile Firmware Simulator
+// ==========================================
+// A JavaScript model of the Arduino.cpp control loop (voltage filter,
+// calibration, probe fault checks, hysteresis, burst/gap timing, dosing
+// controller, operating modes, safety limits) driving a simple tank model
+// whose pH actually responds to the doses. It prints the same serial lines as
+// the real board, so demo mode and Node scripts can exercise the dashboard's
+// parsing and control code without hardware.
+//
+// The simulator runs on a virtual clock: advance(ms) moves time forward and
+// emits whatever the firmware would have printed meanwhile; write(line) queues
+// a command line as if it arrived over serial. Not modelled: the NTC
+// thermistor (HAS_TEMP_SENSOR is 0 in the firmware) and the watchdog.
+//
+//   const sim = createFirmwareSimulator({ onLine: (line) => console.log(line) });
+//   sim.boot();
+//   sim.write("SET_PH_RANGE:5.5,6.5");
+//   sim.advance(60 * 1000);
+
+// Defaults and limits from Arduino.cpp; keep them in step with the firmware
+const FIRMWARE = {
+  PROTOCOL_VERSION: 2,
+  NAME: "ecosterile-ph",
+  SETTINGS_VERSION: 6,
+  SAMPLE_INTERVAL_MS: 800,
+  BOOT_DELAY_MS: 500,
+  CMD_BUFFER_SIZE: 64,
+  CAL_PH: [4.0, 7.0, 10.0],
+  CAL_V: [3.6, (2.957 + 3.055) / 2.0, 1.466],
+  CAL_TEMP_C: 25.0,
+  PH_MIN: 6.5,
+  PH_MAX: 7.5,
+  THRESHOLD_MARGIN: 0.05,
+  EXIT_MARGIN: 0.2,
+  BURST_MS: 1200,
+  GAP_MS: 10 * 1000,
+  MIN_BURST_MS: 100,
+  MAX_BURST_MS: 10 * 1000,
+  MIN_GAP_MS: 1000,
+  MAX_GAP_MS: 10 * 60 * 1000,
+  FILTER_MAX_SIZE: 15,
+  FILTER_WINDOW: 10,
+  EMA_ALPHA: 0.2,
+  FLATLINE_SAMPLES: 150,
+  FLATLINE_EPS_V: 0.001,
+  MAX_PH_STEP: 1.0,
+  SPAN_MARGIN_PH: 2.0,
+  FAULT_CLEAR_SAMPLES: 5,
+  MAX_DOSE_MS: 30 * 1000,
+  DEFAULT_PRIME_MS: 30 * 1000,
+  MAX_PRIME_MS: 2 * 60 * 1000,
+  KP: 2000.0,
+  KI: 0.0,
+  CONTROL_MAX_BURST_MS: 5000,
+  MAX_GAIN: 100000.0,
+  INTEGRAL_LIMIT: 10.0,
+  RESPONSE_MIN_DELTA: 0.05,
+  MIX_FACTOR: 2.0,
+  MIX_LEARN_RATE: 0.3,
+  MAX_PER_HOUR: 20,
+  MAX_PER_DAY: 120,
+  MAX_LIMIT: 1000,
+  WRONG_WAY_DELTA: 0.3,
+  HOUR_MS: 60 * 60 * 1000,
+  DAY_MS: 24 * 60 * 60 * 1000,
+  FILTERS: ["ma", "median", "trimmed", "ema"],
+  MODES: ["auto", "manual", "monitor", "maintenance"],
+};
+
+// Least-squares line pH = slope * V + intercept, as computeCalibration()
+function fitFirmwareCalibration(calPH, calV) {
+  const n = calPH.length;
+  let sumx = 0, sumy = 0, sumxy = 0, sumx2 = 0;
+  for (let i = 0; i < n; ++i) {
+    sumx += calV[i];
+    sumy += calPH[i];
+    sumxy += calV[i] * calPH[i];
+    sumx2 += calV[i] * calV[i];
+  }
+  const denom = n * sumx2 - sumx * sumx;
+  if (Math.abs(denom) < 1e-6) return { slope: 0.0, intercept: 7.0 };
+  const slope = (n * sumxy - sumx * sumy) / denom;
+  return { slope, intercept: (sumy - slope * sumx) / n };
+}
+
+// ==========================================
+// Tank Model
+// ==========================================
+// pH drifts towards driftTargetPH (nutrient uptake pulls it down), every
+// second of pumping adds doseEffect pH units that blend in with time constant
+// mixTauMs, and a little random walk keeps the probe from flatlining.
+function createTankModel(options = {}) {
+  const random = options.random || Math.random;
+  const tank = {
+    pH: options.startPH ?? 7.0,
+    driftTargetPH: options.driftTargetPH ?? 5.8,
+    driftPerHour: options.driftPerHour ?? 2.0, // pH units per hour
+    doseEffect: options.doseEffect ?? 0.12, // pH per second of pumping, once mixed
+    mixTauMs: options.mixTauMs ?? 8000,
+    noise: options.noise ?? 0.002, // random walk, pH per sqrt(second)
+    unmixed: 0, // dosed pH change not yet mixed in
+    pumping: null, // "basic" | "acidic" while a pump runs
+
+    step(ms) {
+      if (ms <= 0) return;
+      if (this.pumping) {
+        const sign = this.pumping === "basic" ? 1 : -1;
+        this.unmixed += sign * this.doseEffect * (ms / 1000);
+      }
+      const mixed = this.unmixed * (1 - Math.exp(-ms / this.mixTauMs));
+      this.unmixed -= mixed;
+
+      const toTarget = this.driftTargetPH - this.pH;
+      const drift = Math.min(Math.abs(toTarget), (this.driftPerHour * ms) / FIRMWARE.HOUR_MS);
+      const walk = (random() - 0.5) * 2 * this.noise * Math.sqrt(ms / 1000);
+
+      this.pH = Math.min(14, Math.max(0, this.pH + mixed + Math.sign(toTarget) * drift + walk));
+    },
+  };
+  return tank;
+}
+
+// ==========================================
+// Firmware Model
+// ==========================================
+// options:
+//   onLine(line)  - called with every line the board prints
+//   tank          - tank model (default: createTankModel(options.tankOptions))
+//   storage       - { load() -> settings or null, save(settings) } standing in
+//                   for the EEPROM (settings carry the burst counters as
+//                   "bursts"); without it settings last until the next boot
+//   random        - random source for probe noise (default Math.random)
+function createFirmwareSimulator(options = {}) {
+  const random = options.random || Math.random;
+  const onLine = options.onLine || (() => {});
+  const storage = options.storage || null;
+  const tank = options.tank || createTankModel({ random, ...options.tankOptions });
+
+  // the probe itself follows the default calibration exactly
+  const probeFit = fitFirmwareCalibration(FIRMWARE.CAL_PH, FIRMWARE.CAL_V);
+
+  let clock = 0; // millis()
+  let txSeq = 0; // sequence number of the next line sent
+  let nextLoopAt = 0;
+  let booted = false;
+  const inbox = []; // command lines received since the last pass
+
+  // persisted settings (Settings struct) and their running values
+  let st = defaultSettings();
+  let settingsFromEEPROM = false;
+  let slope = 0;
+  let intercept = 0;
+  let thresholds = {};
+
+  // runtime state
+  let filter = { buffer: [], ema: NaN };
+  let sensorFault = "none";
+  let cleanSamples = 0;
+  let flatRefV = NaN;
+  let flatCount = 0;
+  let lastRawPH = NaN;
+  let lastPumpMillis = 0;
+  let baseActive = false;
+  let acidActive = false;
+  let pump = null; // { basic, source, startedAt, endsAt, then } while a burst runs
+  let pumpRequest = null; // { basic, ms, source } queued by DOSE/PRIME
+  let mixGapMs = FIRMWARE.GAP_MS;
+  let errorIntegral = 0;
+  let lastControlMillis = 0;
+  let doseResponse = null; // { basic, startedMs, startPH } while waiting for pH to move
+  let bursts = { hour: [0, 0], day: [0, 0], hourStart: 0, dayStart: 0 };
+  let savedBursts = null; // what saveBurstCounts() last stored
+  let stuckVoltage = null;
+
+  function defaultSettings() {
+    return {
+      calPH: FIRMWARE.CAL_PH.slice(),
+      calV: FIRMWARE.CAL_V.slice(),
+      targetPHMin: FIRMWARE.PH_MIN,
+      targetPHMax: FIRMWARE.PH_MAX,
+      pumpBurstMs: FIRMWARE.BURST_MS,
+      minGapBetweenBursts: FIRMWARE.GAP_MS,
+      calTempC: FIRMWARE.CAL_TEMP_C,
+      filterType: "ma",
+      filterWindow: FIRMWARE.FILTER_WINDOW,
+      emaAlpha: FIRMWARE.EMA_ALPHA,
+      operatingMode: "auto",
+      controlMode: "fixed",
+      kp: FIRMWARE.KP,
+      ki: FIRMWARE.KI,
+      maxBurstMs: FIRMWARE.CONTROL_MAX_BURST_MS,
+      maxBurstsPerHour: [FIRMWARE.MAX_PER_HOUR, FIRMWARE.MAX_PER_HOUR],
+      maxBurstsPerDay: [FIRMWARE.MAX_PER_DAY, FIRMWARE.MAX_PER_DAY],
+      lockoutReason: "none",
+      lockoutPump: "none",
+    };
+  }
+
+  // settings plus the burst counters as last saved by saveBurstCounts()
+  function saveSettings() {
+    if (!storage) return;
+    const saved = JSON.parse(JSON.stringify(st));
+    if (savedBursts) saved.bursts = savedBursts;
+    storage.save(saved);
+  }
+
+  // like the firmware: only on window roll and lockout, not per burst
+  function saveBurstCounts() {
+    savedBursts = {
+      hour: bursts.hour.slice(),
+      day: bursts.day.slice(),
+      hourElapsedMs: clock - bursts.hourStart,
+      dayElapsedMs: clock - bursts.dayStart,
+    };
+    saveSettings();
+  }
+
+  // like loadSettings(): defaults first so missing fields keep them
+  function loadSettings() {
+    st = defaultSettings();
+    const stored = storage ? storage.load() : null;
+    if (!stored || typeof stored !== "object") {
+      saveSettings();
+      settingsFromEEPROM = false;
+      return;
+    }
+    Object.keys(st).forEach((key) => {
+      if (stored[key] !== undefined) st[key] = stored[key];
+    });
+    settingsFromEEPROM = true;
+  }
+
+  // like loadBurstCounts(): the windows resume where they were before the reset
+  function loadBurstCounts() {
+    const stored = storage ? storage.load() : null;
+    const saved = stored && stored.bursts;
+    const valid =
+      saved && saved.hourElapsedMs < FIRMWARE.HOUR_MS && saved.dayElapsedMs < FIRMWARE.DAY_MS;
+    if (!valid) {
+      bursts = { hour: [0, 0], day: [0, 0], hourStart: clock, dayStart: clock };
+      saveBurstCounts();
+      return;
+    }
+    savedBursts = saved;
+    bursts = {
+      hour: saved.hour.slice(),
+      day: saved.day.slice(),
+      hourStart: clock - saved.hourElapsedMs,
+      dayStart: clock - saved.dayElapsedMs,
+    };
+  }
+
+  function computeCalibration() {
+    ({ slope, intercept } = fitFirmwareCalibration(st.calPH, st.calV));
+  }
+
+  function applyPHRange(minPH, maxPH) {
+    st.targetPHMin = minPH;
+    st.targetPHMax = maxPH;
+    const mid = (minPH + maxPH) / 2;
+    thresholds = {
+      lowOn: minPH - FIRMWARE.THRESHOLD_MARGIN,
+      highOn: maxPH + FIRMWARE.THRESHOLD_MARGIN,
+      // exits never cross the midpoint, so narrow ranges still have a dead band
+      lowOff: Math.min(minPH + FIRMWARE.EXIT_MARGIN, mid),
+      highOff: Math.max(maxPH - FIRMWARE.EXIT_MARGIN, mid),
+    };
+  }
+
+  // one protocol line: {"type":"<type>","seq":<n><fields>}, as beginMessage()
+  function message(type, fields = "") {
+    onLine(`{"type":"${type}","seq":${txSeq++}${fields}}`);
+  }
+
+  // ---------- probe ----------
+  // analogRead() of the probe: true tank pH through the probe's response,
+  // a few mV of noise, quantized to the 10-bit ADC
+  function readVoltage() {
+    if (sim.probe.fault !== "stuck") stuckVoltage = null;
+    let v;
+    if (sim.probe.fault === "disconnected") {
+      v = 0;
+    } else if (sim.probe.fault === "stuck" && stuckVoltage !== null) {
+      return stuckVoltage;
+    } else {
+      v = (tank.pH - probeFit.intercept) / probeFit.slope + sim.probe.offsetV;
+      v += (random() - 0.5) * 2 * sim.probe.noiseV;
+    }
+    const raw = Math.min(1023, Math.max(0, Math.round((v * 1023) / 5)));
+    const volts = raw * (5 / 1023);
+    if (sim.probe.fault === "stuck") stuckVoltage = volts;
+    return volts;
+  }
+
+  function applyFilter(v) {
+    filter.buffer.unshift(v); // newest first
+    if (filter.buffer.length > FIRMWARE.FILTER_MAX_SIZE) filter.buffer.pop();
+    filter.ema = isNaN(filter.ema) ? v : filter.ema + st.emaAlpha * (v - filter.ema);
+    if (st.filterType === "ema") return filter.ema;
+
+    const window = filter.buffer.slice(0, Math.min(filter.buffer.length, st.filterWindow));
+    const n = window.length;
+    if (st.filterType === "ma") return window.reduce((a, b) => a + b, 0) / n;
+
+    window.sort((a, b) => a - b);
+    if (st.filterType === "median") {
+      return n % 2 ? window[(n - 1) / 2] : (window[n / 2 - 1] + window[n / 2]) / 2;
+    }
+    const trim = Math.floor(n / 4);
+    const kept = window.slice(trim, n - trim);
+    return kept.reduce((a, b) => a + b, 0) / kept.length;
+  }
+
+  // ---------- sensor faults ----------
+  function checkSensor(rawV, rawPH) {
+    let result = "none";
+    const vMin = Math.min(...st.calV);
+    const vMax = Math.max(...st.calV);
+    const marginV = slope !== 0 ? FIRMWARE.SPAN_MARGIN_PH / Math.abs(slope) : 0;
+
+    if (rawPH <= 0 || rawPH >= 14) result = "pinned";
+    else if (rawV < vMin - marginV || rawV > vMax + marginV) result = "span";
+    else if (!isNaN(lastRawPH) && Math.abs(rawPH - lastRawPH) > FIRMWARE.MAX_PH_STEP) result = "jump";
+    lastRawPH = rawPH;
+
+    if (!isNaN(flatRefV) && Math.abs(rawV - flatRefV) < FIRMWARE.FLATLINE_EPS_V) {
+      if (flatCount < FIRMWARE.FLATLINE_SAMPLES) flatCount++;
+    } else {
+      flatRefV = rawV;
+      flatCount = 0;
+    }
+    if (result === "none" && flatCount >= FIRMWARE.FLATLINE_SAMPLES) result = "flatline";
+    return result;
+  }
+
+  function sendFault(fault, active) {
+    message("fault", `,"fault":"${fault}","active":${active}`);
+  }
+
+  function updateSensorFault(sample) {
+    if (sample !== "none") {
+      cleanSamples = 0;
+      if (sample !== sensorFault) {
+        if (sensorFault !== "none") sendFault(sensorFault, false);
+        sensorFault = sample;
+        stopPumps();
+        sendFault(sensorFault, true);
+      }
+    } else if (sensorFault !== "none" && ++cleanSamples >= FIRMWARE.FAULT_CLEAR_SAMPLES) {
+      sendFault(sensorFault, false);
+      sensorFault = "none";
+    }
+  }
+
+  // ---------- safety interlocks ----------
+  function sendLockout(active) {
+    message("lockout", `,"reason":"${st.lockoutReason}","pump":"${st.lockoutPump}","active":${active}`);
+  }
+
+  function setLockout(reason, pumpName) {
+    stopPumps();
+    if (st.lockoutReason !== "none") return;
+    st.lockoutReason = reason;
+    st.lockoutPump = pumpName;
+    saveBurstCounts();
+    sendLockout(true);
+  }
+
+  // index 0 = basic, 1 = acidic, as PUMP_BASIC / PUMP_ACIDIC
+  function withinBurstLimits(index, now) {
+    let rolled = false;
+    if (now - bursts.hourStart >= FIRMWARE.HOUR_MS) {
+      bursts.hourStart = now;
+      bursts.hour = [0, 0];
+      rolled = true;
+    }
+    if (now - bursts.dayStart >= FIRMWARE.DAY_MS) {
+      bursts.dayStart = now;
+      bursts.day = [0, 0];
+      rolled = true;
+    }
+    if (rolled) saveBurstCounts();
+    const name = index === 0 ? "basic" : "acidic";
+    if (bursts.hour[index] >= st.maxBurstsPerHour[index]) {
+      setLockout("hourly_limit", name);
+      return false;
+    }
+    if (bursts.day[index] >= st.maxBurstsPerDay[index]) {
+      setLockout("daily_limit", name);
+      return false;
+    }
+    return true;
+  }
+
+  // ---------- dosing controller ----------
+  function dosingGapMs() {
+    return st.controlMode === "proportional" ? mixGapMs : st.minGapBetweenBursts;
+  }
+
+  function updateIntegral(pH, now) {
+    const dtMin = lastControlMillis ? (now - lastControlMillis) / 60000 : 0;
+    lastControlMillis = now;
+    const error = pH - (st.targetPHMin + st.targetPHMax) / 2;
+    if ((pH >= thresholds.lowOff && pH <= thresholds.highOff) || error * errorIntegral < 0) {
+      errorIntegral = 0;
+      return;
+    }
+    errorIntegral = constrain(errorIntegral + error * dtMin, -FIRMWARE.INTEGRAL_LIMIT, FIRMWARE.INTEGRAL_LIMIT);
+  }
+
+  function burstLengthMs(pH) {
+    if (st.controlMode === "fixed") return st.pumpBurstMs;
+    const error = Math.abs(pH - (st.targetPHMin + st.targetPHMax) / 2);
+    const ms = st.kp * error + st.ki * Math.abs(errorIntegral);
+    return Math.floor(constrain(ms, FIRMWARE.MIN_BURST_MS, st.maxBurstMs));
+  }
+
+  function trackDoseResponse(pH, now) {
+    if (!doseResponse) return;
+    const elapsed = now - doseResponse.startedMs;
+    const moved = doseResponse.basic ? pH - doseResponse.startPH : doseResponse.startPH - pH;
+    if (moved <= -FIRMWARE.WRONG_WAY_DELTA) {
+      const pumpName = doseResponse.basic ? "basic" : "acidic";
+      doseResponse = null;
+      setLockout("wrong_direction", pumpName);
+    } else if (moved >= FIRMWARE.RESPONSE_MIN_DELTA) {
+      const target = constrain(FIRMWARE.MIX_FACTOR * elapsed, FIRMWARE.MIN_GAP_MS, FIRMWARE.MAX_GAP_MS);
+      mixGapMs = Math.floor(mixGapMs + FIRMWARE.MIX_LEARN_RATE * (target - mixGapMs));
+      doseResponse = null;
+      message("mixing", `,"responseMs":${elapsed},"mixMs":${mixGapMs}`);
+    } else if (elapsed > FIRMWARE.MAX_GAP_MS) {
+      doseResponse = null;
+    }
+  }
+
+  // ---------- pumps ----------
+  function stopPumps() {
+    tank.pumping = null;
+  }
+
+  // start a burst; the loop continues with then() once it has run for ms
+  // (or STOP cut it short)
+  function runPumpBurst(basic, ms, source, then) {
+    const name = basic ? "basic" : "acidic";
+    message("pump", `,"pump":"${name}","event":"start","source":"${source}"`);
+    tank.pumping = name;
+    pump = { basic, source, startedAt: clock, endsAt: clock + ms, then };
+  }
+
+  function finishPumpBurst() {
+    const { basic, source, startedAt, then } = pump;
+    stopPumps();
+    pump = null;
+    const durationMs = clock - startedAt;
+    message(
+      "pump",
+      `,"pump":"${basic ? "basic" : "acidic"}","event":"stop","source":"${source}"` +
+        (durationMs > 0 ? `,"durationMs":${durationMs}` : "")
+    );
+    then();
+  }
+
+  // ---------- serial protocol ----------
+  function sendHello() {
+    message("hello", `,"protocol":${FIRMWARE.PROTOCOL_VERSION},"firmware":"${FIRMWARE.NAME}"`);
+  }
+
+  function sendAck(cmd) {
+    message("ack", `,"cmd":"${cmd}"`);
+  }
+
+  function sendError(cmd, msg) {
+    message("error", `,"cmd":"${cmd}","msg":"${msg}"`);
+  }
+
+  function sendStatus() {
+    message(
+      "status",
+      `,"min":${st.targetPHMin.toFixed(2)},"max":${st.targetPHMax.toFixed(2)}` +
+        `,"lowOn":${thresholds.lowOn.toFixed(2)},"lowOff":${thresholds.lowOff.toFixed(2)}` +
+        `,"highOn":${thresholds.highOn.toFixed(2)},"highOff":${thresholds.highOff.toFixed(2)}` +
+        `,"burstMs":${st.pumpBurstMs},"gapMs":${st.minGapBetweenBursts}` +
+        `,"fault":"${sensorFault}","mode":"${st.operatingMode}","mixMs":${mixGapMs}` +
+        `,"lockout":"${st.lockoutReason}","lockoutPump":"${st.lockoutPump}"` +
+        `,"bursts":{"basic":[${bursts.hour[0]},${bursts.day[0]}],"acidic":[${bursts.hour[1]},${bursts.day[1]}]}`
+    );
+  }
+
+  function sendConfig() {
+    const cal = st.calPH.map((ph, i) => `[${ph.toFixed(2)},${st.calV[i].toFixed(3)}]`).join(",");
+    message(
+      "config",
+      `,"version":${FIRMWARE.SETTINGS_VERSION}` +
+        `,"source":"${settingsFromEEPROM ? "eeprom" : "defaults"}"` +
+        `,"cal":[${cal}],"calTemp":${st.calTempC.toFixed(1)},"tempSensor":false` +
+        `,"slope":${slope.toFixed(6)},"intercept":${intercept.toFixed(6)}` +
+        `,"min":${st.targetPHMin.toFixed(2)},"max":${st.targetPHMax.toFixed(2)}` +
+        `,"burstMs":${st.pumpBurstMs},"gapMs":${st.minGapBetweenBursts}` +
+        `,"filter":"${st.filterType}","window":${st.filterWindow},"alpha":${st.emaAlpha.toFixed(2)}` +
+        `,"mode":"${st.operatingMode}","control":"${st.controlMode}"` +
+        `,"kp":${st.kp.toFixed(1)},"ki":${st.ki.toFixed(1)},"maxBurstMs":${st.maxBurstMs},"mixMs":${mixGapMs}` +
+        `,"limits":{"basic":[${st.maxBurstsPerHour[0]},${st.maxBurstsPerDay[0]}]` +
+        `,"acidic":[${st.maxBurstsPerHour[1]},${st.maxBurstsPerDay[1]}]}`
+    );
+  }
+
+  // parseFloatList(): exactly n comma-separated numbers
+  function parseFloatList(args, n) {
+    const parts = args.split(",");
+    if (parts.length !== n) return null;
+    const values = parts.map((p) => (/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(p) ? parseFloat(p) : NaN));
+    return values.some(isNaN) ? null : values;
+  }
+
+  function parseULong(args) {
+    return /^\s*\+?\d+$/.test(args) ? parseInt(args, 10) : null;
+  }
+
+  // "basic|acidic[,ms]"; ms is null when omitted, NaN when malformed
+  function parsePumpArgs(args) {
+    const [name, param] = args.split(/,(.*)/s);
+    if (name !== "basic" && name !== "acidic") return null;
+    const ms = param === undefined ? null : parseULong(param);
+    if (param !== undefined && ms === null) return null;
+    return { basic: name === "basic", ms };
+  }
+
+  function handleCommand(line) {
+    const colon = line.indexOf(":");
+    const name = colon === -1 ? line : line.slice(0, colon);
+    const args = colon === -1 ? "" : line.slice(colon + 1);
+
+    switch (name) {
+      case "SET_PH_RANGE": {
+        const range = parseFloatList(args, 2);
+        if (!range) return sendError(name, "expected min,max");
+        if (range[0] < 0 || range[1] > 14 || range[0] >= range[1]) {
+          return sendError(name, "range out of bounds");
+        }
+        applyPHRange(range[0], range[1]);
+        saveSettings();
+        return sendAck(name);
+      }
+      case "SET_BURST":
+      case "SET_GAP": {
+        const ms = parseULong(args);
+        if (ms === null) return sendError(name, "expected milliseconds");
+        const burst = name === "SET_BURST";
+        const [lo, hi] = burst
+          ? [FIRMWARE.MIN_BURST_MS, FIRMWARE.MAX_BURST_MS]
+          : [FIRMWARE.MIN_GAP_MS, FIRMWARE.MAX_GAP_MS];
+        if (ms < lo || ms > hi) return sendError(name, burst ? "burst out of bounds" : "gap out of bounds");
+        if (burst) st.pumpBurstMs = ms;
+        else st.minGapBetweenBursts = ms;
+        saveSettings();
+        return sendAck(name);
+      }
+      case "SET_CAL": {
+        const vals = parseFloatList(args, FIRMWARE.CAL_PH.length * 2);
+        if (!vals) return sendError(name, "expected pH,V pairs");
+        for (let i = 0; i < FIRMWARE.CAL_PH.length; ++i) {
+          const ph = vals[i * 2];
+          const volts = vals[i * 2 + 1];
+          if (ph < 0 || ph > 14 || volts < 0 || volts > 5.0) return sendError(name, "point out of bounds");
+          for (let j = 0; j < i; ++j) {
+            if (Math.abs(vals[j * 2 + 1] - volts) < 0.01) return sendError(name, "voltages too close");
+          }
+        }
+        st.calPH = vals.filter((_, i) => i % 2 === 0);
+        st.calV = vals.filter((_, i) => i % 2 === 1);
+        st.calTempC = FIRMWARE.CAL_TEMP_C; // no temperature sensor
+        computeCalibration();
+        saveSettings();
+        return sendAck(name);
+      }
+      case "SET_FILTER": {
+        const [type, param] = args.split(/,(.*)/s);
+        if (!FIRMWARE.FILTERS.includes(type)) return sendError(name, "unknown filter");
+        if (type === "ema") {
+          let alpha = st.emaAlpha;
+          if (param !== undefined) {
+            const parsed = parseFloatList(param, 1);
+            if (!parsed) return sendError(name, "expected alpha");
+            alpha = parsed[0];
+          }
+          if (alpha <= 0 || alpha > 1) return sendError(name, "alpha out of bounds");
+          st.emaAlpha = alpha;
+        } else {
+          let size = st.filterWindow;
+          if (param !== undefined) {
+            size = parseULong(param);
+            if (size === null) return sendError(name, "expected window");
+          }
+          if (size < 1 || size > FIRMWARE.FILTER_MAX_SIZE) return sendError(name, "window out of bounds");
+          st.filterWindow = size;
+        }
+        st.filterType = type;
+        saveSettings();
+        return sendAck(name);
+      }
+      case "DOSE":
+      case "PRIME": {
+        const prime = name === "PRIME";
+        const parsed = parsePumpArgs(args);
+        const ms = parsed ? parsed.ms ?? (prime ? FIRMWARE.DEFAULT_PRIME_MS : 0) : 0;
+        if (!parsed || ms === 0) return sendError(name, prime ? "expected pump[,ms]" : "expected pump,ms");
+        if (ms < FIRMWARE.MIN_BURST_MS || ms > (prime ? FIRMWARE.MAX_PRIME_MS : FIRMWARE.MAX_DOSE_MS)) {
+          return sendError(name, "duration out of bounds");
+        }
+        if (st.operatingMode === "monitor" || (st.operatingMode === "maintenance" && !prime)) {
+          return sendError(name, "not allowed in this mode");
+        }
+        if (st.lockoutReason !== "none" && !prime) return sendError(name, "locked out");
+        if (pump || pumpRequest) return sendError(name, "pump busy");
+        pumpRequest = { basic: parsed.basic, ms, source: prime ? "prime" : "manual" };
+        // the sampling wait ends as soon as a run is queued
+        nextLoopAt = Math.min(nextLoopAt, clock);
+        return sendAck(name);
+      }
+      case "STOP":
+        stopPumps();
+        pumpRequest = null;
+        if (pump) pump.endsAt = clock;
+        return sendAck(name);
+      case "SET_CONTROL": {
+        const [type, params] = args.split(/,(.*)/s);
+        if (type === "fixed" && params === undefined) {
+          st.controlMode = "fixed";
+        } else if (type === "proportional" && params !== undefined) {
+          const vals = parseFloatList(params, 3);
+          if (!vals) return sendError(name, "expected kp,ki,maxMs");
+          if (vals[0] <= 0 || vals[0] > FIRMWARE.MAX_GAIN || vals[1] < 0 || vals[1] > FIRMWARE.MAX_GAIN ||
+              vals[2] < FIRMWARE.MIN_BURST_MS || vals[2] > FIRMWARE.MAX_BURST_MS) {
+            return sendError(name, "parameters out of bounds");
+          }
+          st.kp = vals[0];
+          st.ki = vals[1];
+          st.maxBurstMs = Math.floor(vals[2]);
+          st.controlMode = "proportional";
+          errorIntegral = 0;
+        } else {
+          return sendError(name, "expected fixed or proportional,kp,ki,maxMs");
+        }
+        saveSettings();
+        return sendAck(name);
+      }
+      case "SET_LIMITS": {
+        const vals = parseFloatList(args, 4);
+        if (!vals) return sendError(name, "expected basicHour,basicDay,acidicHour,acidicDay");
+        if (vals.some((v) => v < 1 || v > FIRMWARE.MAX_LIMIT || !Number.isInteger(v))) {
+          return sendError(name, "limit out of bounds");
+        }
+        if (vals[0] > vals[1] || vals[2] > vals[3]) return sendError(name, "hourly limit above daily");
+        st.maxBurstsPerHour = [vals[0], vals[2]];
+        st.maxBurstsPerDay = [vals[1], vals[3]];
+        saveSettings();
+        return sendAck(name);
+      }
+      case "RESET_LOCKOUT":
+        if (st.lockoutReason !== "none") {
+          sendLockout(false);
+          st.lockoutReason = "none";
+          st.lockoutPump = "none";
+          bursts = { hour: [0, 0], day: [0, 0], hourStart: clock, dayStart: clock };
+          doseResponse = null;
+          saveBurstCounts();
+        }
+        return sendAck(name);
+      case "SET_MODE": {
+        if (!FIRMWARE.MODES.includes(args)) return sendError(name, "unknown mode");
+        if (args === "monitor" || args === "maintenance") {
+          stopPumps();
+          pumpRequest = null;
+          if (pump) pump.endsAt = clock;
+        }
+        if (st.operatingMode === "maintenance" && args !== "maintenance") {
+          lastRawPH = NaN;
+          flatRefV = NaN;
+          flatCount = 0;
+        }
+        st.operatingMode = args;
+        saveSettings();
+        return sendAck(name);
+      }
+      case "HELLO":
+        return sendHello();
+      case "STATUS":
+        return sendStatus();
+      case "CONFIG":
+        return sendConfig();
+      case "RESET_CONFIG":
+        st = defaultSettings();
+        saveSettings();
+        computeCalibration();
+        applyPHRange(st.targetPHMin, st.targetPHMax);
+        return sendAck(name);
+      default:
+        return sendError(name, "unknown command");
+    }
+  }
+
+  function readSerialCommands() {
+    while (inbox.length > 0) {
+      const line = inbox.shift();
+      if (line.length > FIRMWARE.CMD_BUFFER_SIZE - 1) sendError("?", "command too long");
+      else if (line.length > 0) handleCommand(line);
+    }
+  }
+
+  // ---------- loop() ----------
+  function loop() {
+    readSerialCommands();
+
+    if (pumpRequest) {
+      const request = pumpRequest;
+      pumpRequest = null;
+      runPumpBurst(request.basic, request.ms, request.source, () => {
+        lastPumpMillis = clock; // let it mix before automatic control doses again
+        sample();
+      });
+      return;
+    }
+    sample();
+  }
+
+  // the rest of loop() after any manual run: read, decide, dose, report
+  function sample() {
+    const rawV = readVoltage();
+    const v = applyFilter(rawV);
+    let pH = slope * v + intercept;
+    let rawPH = slope * rawV + intercept;
+
+    let fault = "none";
+    if (st.operatingMode !== "maintenance") {
+      fault = checkSensor(rawV, rawPH);
+      updateSensorFault(fault);
+    }
+
+    pH = constrain(pH, 0, 14);
+    rawPH = constrain(rawPH, 0, 14);
+
+    const now = clock;
+    const allowedToRun = now - lastPumpMillis > dosingGapMs();
+    updateIntegral(pH, now);
+    trackDoseResponse(pH, now);
+
+    if (baseActive) {
+      if (pH >= thresholds.lowOff) baseActive = false;
+    } else if (pH <= thresholds.lowOn && allowedToRun) {
+      baseActive = true;
+    }
+    if (acidActive) {
+      if (pH <= thresholds.highOff) acidActive = false;
+    } else if (pH >= thresholds.highOn && allowedToRun) {
+      acidActive = true;
+    }
+
+    if (st.operatingMode !== "auto" || sensorFault !== "none" || st.lockoutReason !== "none") {
+      baseActive = false;
+      acidActive = false;
+    }
+    if (baseActive && acidActive) {
+      if (Math.abs(pH - st.targetPHMin) >= Math.abs(pH - st.targetPHMax)) acidActive = false;
+      else baseActive = false;
+    }
+    if (baseActive && !withinBurstLimits(0, now)) baseActive = false;
+    if (acidActive && !withinBurstLimits(1, now)) acidActive = false;
+
+    const report = (pumpType, action) => {
+      printReading({ pH, v, rawPH, rawV, fault, pumpType, action });
+      nextLoopAt = pumpRequest ? clock : clock + FIRMWARE.SAMPLE_INTERVAL_MS;
+    };
+
+    if (baseActive || acidActive) {
+      const basic = baseActive;
+      const index = basic ? 0 : 1;
+      lastPumpMillis = now;
+      baseActive = false; // one-shot burst; re-evaluated after dosingGapMs()
+      acidActive = false;
+      runPumpBurst(basic, burstLengthMs(pH), "auto", () => {
+        bursts.hour[index]++;
+        bursts.day[index]++;
+        doseResponse = { basic, startedMs: clock, startPH: pH };
+        report(basic ? "basic" : "acidic", "on");
+      });
+      return;
+    }
+    report("none", "off");
+  }
+
+  function printReading({ pH, v, rawPH, rawV, fault, pumpType, action }) {
+    message(
+      "reading",
+      `,"pH":${pH.toFixed(2)},"voltage":${v.toFixed(3)},"rawPH":${rawPH.toFixed(2)}` +
+        `,"rawVoltage":${rawV.toFixed(3)},"mode":"${st.operatingMode}"` +
+        (fault !== "none" ? `,"suspect":true` : "") +
+        (sensorFault !== "none" ? `,"fault":"${sensorFault}"` : "") +
+        (st.lockoutReason !== "none" ? `,"lockout":"${st.lockoutReason}"` : "") +
+        `,"pump":"${pumpType}","action":"${action}"`
+    );
+  }
+
+  // let ms of virtual time pass for the tank
+  function passTime(ms) {
+    if (ms <= 0) return;
+    tank.step(ms);
+    clock += ms;
+  }
+
+  const sim = {
+    tank,
+    // probe condition; tests and demos can change it at any time
+    //   fault: null, "disconnected" (reads 0 V) or "stuck" (voltage frozen)
+    probe: { fault: null, offsetV: 0, noiseV: 0.004 },
+
+    // setup(): settings, hello and config lines
+    boot() {
+      clock = 0;
+      txSeq = 0;
+      inbox.length = 0;
+      filter = { buffer: [], ema: NaN };
+      sensorFault = "none";
+      cleanSamples = 0;
+      flatRefV = NaN;
+      flatCount = 0;
+      lastRawPH = NaN;
+      lastPumpMillis = 0;
+      baseActive = acidActive = false;
+      pump = null;
+      pumpRequest = null;
+      errorIntegral = 0;
+      lastControlMillis = 0;
+      doseResponse = null;
+      stuckVoltage = null;
+      stopPumps();
+
+      loadSettings();
+      loadBurstCounts();
+      mixGapMs = st.minGapBetweenBursts;
+      computeCalibration();
+      applyPHRange(st.targetPHMin, st.targetPHMax);
+
+      sendHello();
+      sendConfig();
+      if (st.lockoutReason !== "none") sendLockout(true);
+      passTime(FIRMWARE.BOOT_DELAY_MS);
+      nextLoopAt = clock;
+      booted = true;
+    },
+
+    // one command line from the dashboard, handled on the next pass
+    write(line) {
+      inbox.push(String(line).replace(/\r?\n$/, ""));
+    },
+
+    // run the firmware for ms of virtual time
+    advance(ms) {
+      if (!booted) this.boot();
+      const until = clock + Math.max(0, ms);
+      // commands are read continuously, also while a pump runs
+      readSerialCommands();
+      for (;;) {
+        const next = pump ? pump.endsAt : nextLoopAt;
+        if (next > until) break;
+        passTime(next - clock);
+        if (pump) finishPumpBurst();
+        else loop();
+      }
+      passTime(until - clock);
+    },
+
+    millis() {
+      return clock;
+    },
+
+    settings() {
+      return JSON.parse(JSON.stringify(st));
+    },
+  };
+  return sim;
+}
+
+function constrain(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+// Node: require("./simulator.js"); browsers get the functions as globals
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FIRMWARE, createFirmwareSimulator, createTankModel, fitFirmwareCalibration };
+}
@@ -0,0 +1,94 @@
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkSequence,
+  createLinkStats,
+  isDeviceErrorMessage,
+  parseDeviceLine,
+  upgradeLegacyMessage,
+  validateMessage,
+} = require("../protocol.js");
+
+const reading = {
+  type: "reading",
+  seq: 4,
+  pH: 6.8,
+  voltage: 2.71,
+  rawPH: 6.79,
+  rawVoltage: 2.712,
+  mode: "auto",
+  pump: "none",
+  action: "off",
+};
+
+test("a reading that fits the schema is accepted, extra fields included", () => {
+  assert.strictEqual(validateMessage(reading), null);
+  assert.strictEqual(validateMessage({ ...reading, temp: 24.5, note: "new field" }), null);
+});
+
+test("lines that do not fit the schema say what is wrong", () => {
+  assert.strictEqual(validateMessage([1, 2]), "not a JSON object");
+  assert.strictEqual(validateMessage({ seq: 1, pH: 7 }), "missing type");
+  assert.strictEqual(validateMessage({ type: "weather", seq: 1 }), 'unknown type "weather"');
+  assert.strictEqual(validateMessage({ ...reading, seq: undefined }), "missing seq");
+  assert.strictEqual(validateMessage({ ...reading, voltage: undefined }), 'missing "voltage"');
+  assert.strictEqual(validateMessage({ ...reading, mode: "turbo" }), 'invalid "mode"');
+  assert.strictEqual(validateMessage({ ...reading, pH: "7" }), 'invalid "pH"');
+  assert.strictEqual(validateMessage({ ...reading, temp: null }), 'invalid "temp"');
+});
+
+test("parseDeviceLine() tells noise from invalid messages", () => {
+  assert.deepStrictEqual(parseDeviceLine("\u0000avrdude"), {
+    message: null,
+    problem: "not JSON",
+    kind: "unparsed",
+  });
+  const invalid = parseDeviceLine('{"type":"ack","seq":3}');
+  assert.strictEqual(invalid.kind, "error");
+  assert.strictEqual(invalid.problem, 'missing "cmd"');
+  const valid = parseDeviceLine(JSON.stringify(reading));
+  assert.strictEqual(valid.problem, null);
+  assert.deepStrictEqual(valid.message, reading);
+});
+
+test("checkSequence() counts lost and out-of-order lines", () => {
+  const link = { lastSeq: null, stats: createLinkStats() };
+  assert.strictEqual(checkSequence(link, 10), 0); // first line on the link
+  assert.strictEqual(checkSequence(link, 11), 0);
+  assert.strictEqual(checkSequence(link, 14), 2);
+  assert.strictEqual(checkSequence(link, 13), -1);
+  // the count restarts from the out-of-order line
+  assert.strictEqual(checkSequence(link, 14), 0);
+  // seq 0: the board rebooted
+  assert.strictEqual(checkSequence(link, 0), 0);
+  assert.strictEqual(checkSequence(link, 1), 0);
+  assert.deepStrictEqual(link.stats, { received: 0, dropped: 2, malformed: 0, outOfOrder: 1 });
+});
+
+test("errors and active faults are problem messages", () => {
+  assert.strictEqual(isDeviceErrorMessage({ type: "error", cmd: "X", msg: "?" }), true);
+  assert.strictEqual(isDeviceErrorMessage({ type: "fault", fault: "jump", active: true }), true);
+  assert.strictEqual(isDeviceErrorMessage({ type: "fault", fault: "jump", active: false }), false);
+  assert.strictEqual(isDeviceErrorMessage(reading), false);
+});
+
+test("recordings from before protocol version 2 are upgraded", () => {
+  // the first firmware's reading: no type, no seq, no raw values or mode
+  const v1 = { pH: 6.42, voltage: 2.731, pump: "basic", action: "on" };
+  const reading = upgradeLegacyMessage(v1, 7);
+  assert.strictEqual(validateMessage(reading), null);
+  assert.deepStrictEqual(
+    [reading.type, reading.seq, reading.rawPH, reading.mode],
+    ["reading", 7, 6.42, "auto"]
+  );
+  // later readings already reported them
+  const later = upgradeLegacyMessage({ ...v1, rawPH: 6.5, mode: "manual" }, 8);
+  assert.deepStrictEqual([later.rawPH, later.mode], [6.5, "manual"]);
+
+  const ack = upgradeLegacyMessage({ type: "ack", cmd: "STATUS" }, 9);
+  assert.deepStrictEqual(ack, { type: "ack", cmd: "STATUS", seq: 9 });
+
+  assert.strictEqual(upgradeLegacyMessage({ ...v1, type: "reading", seq: 3 }, 10), null);
+  assert.strictEqual(upgradeLegacyMessage({ note: "no pH" }, 10), null);
+});